@@ -0,0 +1,28 @@
+// api/_lib/auth.js  — admin credential for management routes (and the scheduler's for cron routes)
+import { timingSafeEqual } from 'node:crypto';
+
+const { ADMIN_API_KEY, CRON_SECRET } = process.env;
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && timingSafeEqual(x, y);
+}
+
+function bearer(req) {
+  const m = String(req.headers?.authorization || '').match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : null;
+}
+
+/* True when the request carries `Authorization: Bearer <ADMIN_API_KEY>` */
+export function isAdmin(req) {
+  if (!ADMIN_API_KEY) return false; // no key configured → admin routes stay closed
+  const token = bearer(req);
+  return Boolean(token) && safeEqual(token, ADMIN_API_KEY);
+}
+
+/* Vercel Cron sends `Authorization: Bearer <CRON_SECRET>`; an admin may trigger it by hand */
+export function isCron(req) {
+  const token = bearer(req);
+  return isAdmin(req) || (Boolean(CRON_SECRET) && Boolean(token) && safeEqual(token, CRON_SECRET));
+}
@@ -0,0 +1,223 @@
+// api/_lib/backends/cached.js  — read cache in front of a backend (getBackend adds it)
+//
+// The calendar list is kept for DISCOVERY_SECONDS (600).
+//
+// The Bookings / Blackouts calendars (`mirror` names) are mirrored whole: the first read
+// downloads them once, later ones ask the backend only for what changed since (CalDAV
+// sync-collection; the local backends diff ETags), and every object is parsed once. Any
+// time range — a month or a year — is then answered from memory.
+// Other calendars (busy sources) cache each time-range read instead, re-checked by CTag.
+//
+// Either way a read is served as-is for CALENDAR_CACHE_SECONDS (30), then re-synced /
+// re-checked; `fresh: true` (booking checks) always re-syncs first. Our own writes go
+// through here: they mark the calendar stale at once, and bump a per-calendar generation in
+// KV so other instances re-sync on their next read. CALENDAR_CACHE_SECONDS=0 turns it off.
+import { getKV } from '../kv.js';
+import { extractEvents, isRecurringICS } from '../ics.js';
+
+const DISCOVERY_MS = (Number(process.env.DISCOVERY_SECONDS) || 600) * 1000;
+const MAX_ENTRIES = 500;
+
+export const CACHE_SECONDS = process.env.CALENDAR_CACHE_SECONDS === undefined
+  ? 30
+  : Number(process.env.CALENDAR_CACHE_SECONDS) || 0;
+
+// Calendars are keyed by their collection URL (objects live directly inside it)
+const calKey = (url) => String(url).replace(/\/*$/, '/');
+const collectionOf = (objectUrl) => calKey(new URL('.', objectUrl).href);
+const generationKey = (key) => `calendar:gen:${key}`;
+
+/* A mirrored object; one that doesn't repeat keeps its events, parsed once */
+function mirrored({ url, etag, data }) {
+  return { url, etag, data, events: isRecurringICS(data) ? null : extractEvents(data) };
+}
+
+/* Mirror objects with an occurrence in `range`, carrying their events (see ics.eventsFromObjects) */
+function objectsInRange(mirror, range) {
+  const out = [];
+  for (const obj of mirror.objects.values()) {
+    const events = obj.events || extractEvents(obj.data, range);
+    if (events.some(ev => ev.start < range.end && ev.end > range.start)) {
+      out.push({ url: obj.url, etag: obj.etag, data: obj.data, events });
+    }
+  }
+  return out;
+}
+
+export function withCache(backend, { ttlSeconds = CACHE_SECONDS, mirror = [], kv = getKV } = {}) {
+  const ttlMs = ttlSeconds * 1000;
+  const mirrorNames = new Set(mirror.map(n => String(n).toLowerCase()));
+  let discovery = null; // { at, calendars }
+  const mirrors = new Map(); // calKey → { gen, syncToken, checkedAt, objects: Map<url, obj>, syncing, started }
+  const noSync = new Set(); // calKeys whose server can't sync — range cache for those
+  const entries = new Map(); // `${calKey}|${start}|${end}` → { cal, gen, ctag, checkedAt, objs }
+  const epochs = new Map(); // calKey → writes seen here; a read that spans one mustn't be cached
+  const epochOf = (key) => epochs.get(key) || 0;
+
+  // Changes seen by other instances; a store that can't be read means "don't trust the cache"
+  async function generation(key) {
+    try {
+      return String((await kv().get(generationKey(key))) ?? 0);
+    } catch (e) {
+      console.error('[calendar cache] generation unavailable:', e?.message || e);
+      return null;
+    }
+  }
+
+  async function ctagOf(calendar) {
+    if (!backend.getCtag) return null;
+    try {
+      return await backend.getCtag(calendar);
+    } catch (e) {
+      console.error('[calendar cache] ctag failed:', e?.message || e);
+      return null;
+    }
+  }
+
+  function remember(key, entry) {
+    entries.delete(key);
+    entries.set(key, entry);
+    if (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+  }
+
+  async function changed(key) {
+    epochs.set(key, epochOf(key) + 1);
+    for (const [k, entry] of entries) if (entry.cal === key) entries.delete(k);
+    const m = mirrors.get(key);
+    if (m) m.checkedAt = 0;
+    try {
+      await kv().incr(generationKey(key));
+    } catch (e) {
+      console.error('[calendar cache] invalidation not shared:', e?.message || e);
+    }
+  }
+
+  // Run a write, then forget what we knew about the calendar — also when it failed (412 = it moved on)
+  async function writing(key, work) {
+    try {
+      return await work();
+    } finally {
+      await changed(key);
+    }
+  }
+
+  // Bring a mirror up to date; a sync token the server no longer accepts means starting over
+  async function sync(calendar, m) {
+    let result;
+    const known = [...m.objects.values()].map(o => ({ url: o.url, etag: o.etag }));
+    try {
+      result = await backend.syncObjects(calendar, { syncToken: m.syncToken, known });
+    } catch (e) {
+      if (!m.syncToken) throw e;
+      console.warn('[calendar cache] sync token refused, full sync:', e?.message || e);
+      m.syncToken = null;
+      m.objects = new Map();
+      result = await backend.syncObjects(calendar, {});
+    }
+
+    if (!m.syncToken) m.objects = new Map();
+    for (const url of result.deleted) m.objects.delete(url);
+    for (const obj of result.changed) m.objects.set(obj.url, mirrored(obj));
+    m.syncToken = result.syncToken;
+  }
+
+  // One sync at a time per calendar; a reader joins the one running if it can trust it: begun
+  // after our last write here, against the same generation, and — for `fresh` — after the
+  // reader asked. Otherwise it waits that one out and starts its own.
+  async function synced(calendar, cal, m, gen, fresh) {
+    const after = fresh ? m.started : 0;
+    while (m.syncing) {
+      const s = m.syncing;
+      if (s.seq > after && s.epoch === epochOf(cal) && s.gen === gen) return s.promise;
+      await s.promise.catch(() => {});
+    }
+    const s = { seq: ++m.started, epoch: epochOf(cal), gen };
+    s.promise = sync(calendar, m)
+      .then(() => {
+        // A write during the sync may not be in it: then the mirror stays stale
+        if (epochOf(cal) === s.epoch) {
+          m.gen = gen;
+          m.checkedAt = Date.now();
+        }
+      })
+      .finally(() => { if (m.syncing === s) m.syncing = null; });
+    m.syncing = s;
+    return s.promise;
+  }
+
+  async function fromMirror(calendar, cal, gen, range, fresh) {
+    let m = mirrors.get(cal);
+    if (!m) {
+      m = { gen: null, syncToken: null, checkedAt: 0, objects: new Map(), syncing: null, started: 0 };
+      mirrors.set(cal, m);
+    }
+
+    const stale = fresh || m.gen !== gen || Date.now() - m.checkedAt >= ttlMs;
+    if (stale) {
+      try {
+        await synced(calendar, cal, m, gen, fresh);
+      } catch (e) {
+        // Never synced: the server doesn't do it — stop trying. Otherwise just this once.
+        console.error('[calendar cache] sync failed, reading the range instead:', e?.message || e);
+        if (!m.syncToken) {
+          noSync.add(cal);
+          mirrors.delete(cal);
+        }
+        return fromRangeCache(calendar, cal, gen, range, fresh);
+      }
+    }
+    return objectsInRange(m, range);
+  }
+
+  async function fromRangeCache(calendar, cal, gen, range, fresh) {
+    const key = `${cal}|${range.start.toISOString()}|${range.end.toISOString()}`;
+    const hit = entries.get(key);
+    if (hit && hit.gen === gen && !fresh && Date.now() - hit.checkedAt < ttlMs) return hit.objs;
+
+    // CTag before the download, so a change made meanwhile isn't taken as seen; and nothing is
+    // kept if one of our writes landed while we waited (it may not be in what we got)
+    const epoch = epochOf(cal);
+    const ctag = await ctagOf(calendar);
+    if (hit && hit.gen === gen && ctag && ctag === hit.ctag) {
+      if (epochOf(cal) === epoch) remember(key, { ...hit, checkedAt: Date.now() });
+      return hit.objs;
+    }
+
+    const objs = await backend.fetchObjects(calendar, range);
+    if (epochOf(cal) === epoch) remember(key, { cal, gen, ctag, checkedAt: Date.now(), objs });
+    return objs;
+  }
+
+  return {
+    ...backend,
+
+    async listCalendars() {
+      if (discovery && Date.now() - discovery.at < DISCOVERY_MS) return discovery.calendars;
+      const calendars = await backend.listCalendars();
+      discovery = { at: Date.now(), calendars };
+      return calendars;
+    },
+
+    async fetchObjects(calendar, range, { fresh = false } = {}) {
+      const cal = calKey(calendar.url);
+      const gen = await generation(cal);
+      if (gen === null) return backend.fetchObjects(calendar, range);
+
+      const mirrorIt = backend.syncObjects && !noSync.has(cal)
+        && mirrorNames.has(String(calendar.displayName || '').toLowerCase());
+      return mirrorIt
+        ? fromMirror(calendar, cal, gen, range, fresh)
+        : fromRangeCache(calendar, cal, gen, range, fresh);
+    },
+
+    createObject(calendar, obj) {
+      return writing(calKey(calendar.url), () => backend.createObject(calendar, obj));
+    },
+    updateObject(obj) {
+      return writing(collectionOf(obj.url), () => backend.updateObject(obj));
+    },
+    deleteObject(obj) {
+      return writing(collectionOf(obj.url), () => backend.deleteObject(obj));
+    },
+  };
+}
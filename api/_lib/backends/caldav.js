@@ -0,0 +1,103 @@
+// api/_lib/backends/caldav.js  — any CalDAV server (iCloud, Fastmail, Nextcloud, Radicale…)
+import { createDAVClient } from 'tsdav';
+
+// Non-2xx DAV responses become errors; 412 = someone else changed the object (ETag mismatch)
+async function ensureOk(response, what) {
+  if (response?.ok) return response;
+  const err = new Error(`${what} failed: ${response?.status} ${response?.statusText || ''}`.trim());
+  err.status = response?.status;
+  throw err;
+}
+
+export function createCalDAVBackend({ serverUrl, username, password }) {
+  let clientPromise = null;
+  const client = () => {
+    if (!username || !password) {
+      throw new Error('Missing CalDAV credentials (CALDAV_USERNAME/CALDAV_PASSWORD or ICLOUD_USERNAME/ICLOUD_APP_PASSWORD)');
+    }
+    clientPromise = clientPromise || createDAVClient({
+      serverUrl,
+      credentials: { username, password },
+      authMethod: 'Basic',
+      defaultAccountType: 'caldav',
+    }).catch((e) => { clientPromise = null; throw e; });
+    return clientPromise;
+  };
+
+  return {
+    name: 'caldav',
+    serverUrl,
+
+    async connect() {
+      await client();
+    },
+
+    async listCalendars() {
+      const calendars = await (await client()).fetchCalendars();
+      return (calendars || []).map(c => ({
+        displayName: typeof c.displayName === 'string' ? c.displayName : '',
+        url: c.url,
+        raw: c,
+      }));
+    },
+
+    // The calendar's CTag (changes with any change inside it), or null if the server has none
+    async getCtag(calendar) {
+      const { newCtag } = await (await client()).isCollectionDirty({ collection: { url: calendar.url } });
+      return newCtag ?? null;
+    },
+
+    // WebDAV sync-collection: everything on the first call (no token), then only what changed
+    // since `syncToken` → { syncToken, changed: [{ url, etag, data }], deleted: [url] }.
+    // `known` ([{ url, etag }]) is what the caller already has.
+    async syncObjects(calendar, { syncToken = '', known = [] } = {}) {
+      const c = await client();
+      const synced = await c.smartCollectionSync({
+        collection: { url: calendar.url, syncToken, objects: known, objectMultiGet: c.calendarMultiGet },
+        method: 'webdav',
+        detailedResult: true,
+      });
+      const { created = [], updated = [], deleted = [] } = synced.objects || {};
+      return {
+        syncToken: synced.syncToken || null,
+        changed: [...created, ...updated].map(o => ({ url: o.url, etag: o.etag, data: o.data })),
+        deleted: deleted.map(o => o.url),
+      };
+    },
+
+    async fetchObjects(calendar, range) {
+      const timeRange = { start: range.start.toISOString(), end: range.end.toISOString() };
+      const objs = await (await client()).fetchCalendarObjects({ calendar: calendar.raw, timeRange });
+      return (objs || []).map(o => ({ url: o.url, etag: o.etag, data: o.data }));
+    },
+
+    // One object by file name (null when it isn't there)
+    async getObject(calendar, filename) {
+      const url = new URL(filename, calendar.url).href;
+      const objs = await (await client()).fetchCalendarObjects({ calendar: calendar.raw, objectUrls: [url] });
+      const o = (objs || []).find(x => x?.data);
+      return o ? { url: o.url, etag: o.etag, data: o.data } : null;
+    },
+
+    async createObject(calendar, { filename, data }) {
+      const r = await (await client()).createCalendarObject({
+        calendar: calendar.raw,
+        filename,
+        iCalString: data,
+      });
+      await ensureOk(r, 'createCalendarObject');
+      return { url: new URL(filename, calendar.url).href, etag: r.headers?.get?.('etag') || undefined };
+    },
+
+    async updateObject({ url, etag, data }) {
+      const r = await (await client()).updateCalendarObject({ calendarObject: { url, etag, data } });
+      await ensureOk(r, 'updateCalendarObject');
+      return { url, etag: r.headers?.get?.('etag') || undefined };
+    },
+
+    async deleteObject({ url, etag }) {
+      const r = await (await client()).deleteCalendarObject({ calendarObject: { url, etag } });
+      await ensureOk(r, 'deleteCalendarObject');
+    },
+  };
+}
@@ -0,0 +1,47 @@
+// api/_lib/backends/index.js  — pick the calendar backend from env
+//
+//   CALENDAR_BACKEND=caldav  (default) CALDAV_SERVER_URL, CALDAV_USERNAME, CALDAV_PASSWORD
+//                            (falls back to ICLOUD_USERNAME / ICLOUD_APP_PASSWORD on iCloud)
+//   CALENDAR_BACKEND=local   LOCAL_CALENDAR_DIR — a directory of .ics files per calendar
+//   CALENDAR_BACKEND=memory  in-process only (tests, offline dev)
+// Reads go through a cache (cached.js) — `mirror` calendars are kept whole, synced
+// incrementally — unless CALENDAR_CACHE_SECONDS=0.
+import { createCalDAVBackend } from './caldav.js';
+import { createLocalBackend } from './local.js';
+import { withCache, CACHE_SECONDS } from './cached.js';
+
+let current = null;
+
+export function createBackend(env = process.env, { calendars = [] } = {}) {
+  const kind = String(env.CALENDAR_BACKEND || 'caldav').toLowerCase();
+
+  if (kind === 'caldav') {
+    return createCalDAVBackend({
+      serverUrl: env.CALDAV_SERVER_URL || 'https://caldav.icloud.com',
+      username: env.CALDAV_USERNAME || env.ICLOUD_USERNAME,
+      password: env.CALDAV_PASSWORD || env.ICLOUD_APP_PASSWORD,
+    });
+  }
+  if (kind === 'local') {
+    if (!env.LOCAL_CALENDAR_DIR) throw new Error('CALENDAR_BACKEND=local needs LOCAL_CALENDAR_DIR');
+    return createLocalBackend({ dir: env.LOCAL_CALENDAR_DIR, calendars });
+  }
+  if (kind === 'memory') {
+    return createLocalBackend({ calendars });
+  }
+  throw new Error(`Unknown CALENDAR_BACKEND: ${kind}`);
+}
+
+/* Process-wide backend (memory keeps its data — and the cache its entries — between requests this way) */
+export function getBackend(opts) {
+  if (!current) {
+    const backend = createBackend(process.env, opts);
+    current = CACHE_SECONDS > 0 ? withCache(backend, { mirror: opts?.mirror }) : backend;
+  }
+  return current;
+}
+
+/* Swap the backend (tests / scripts) — pass null to go back to env selection */
+export function setBackend(backend) {
+  current = backend;
+}
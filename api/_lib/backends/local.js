@@ -0,0 +1,158 @@
+// api/_lib/backends/local.js  — offline calendars: a directory of .ics files, or plain memory
+//
+//   LOCAL_CALENDAR_DIR/
+//     Bookings/<uid>.ics
+//     Blackouts/<uid>.ics
+//
+// Without a directory everything lives in memory (per process) — for tests and dev.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { extractEvents } from '../ics.js';
+
+const etagOf = (data) => `"${createHash('sha1').update(data).digest('hex')}"`;
+
+// Stand-in for a CalDAV CTag / sync token: changes whenever any file in the calendar does
+const versionOf = (files) => etagOf(files.map(([file, data]) => `${file}:${etagOf(data)}`).sort().join('\n'));
+
+function conflict(message) {
+  const err = new Error(message);
+  err.status = 412;
+  return err;
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+/* Memory store: Map<calendarName, Map<filename, data>> */
+function memoryStore(names) {
+  const cals = new Map(names.map(n => [n, new Map()]));
+  return {
+    async names() { return [...cals.keys()]; },
+    async list(cal) { return [...(cals.get(cal)?.entries() || [])]; },
+    async read(cal, file) { return cals.get(cal)?.get(file); },
+    async write(cal, file, data) {
+      if (!cals.has(cal)) cals.set(cal, new Map());
+      cals.get(cal).set(file, data);
+    },
+    async remove(cal, file) { cals.get(cal)?.delete(file); },
+  };
+}
+
+/* Directory store: one sub-directory per calendar */
+function dirStore(dir, names) {
+  const ready = Promise.all(names.map(n => fs.mkdir(path.join(dir, n), { recursive: true })));
+  const safe = (file) => path.basename(file);
+  return {
+    async names() {
+      await ready;
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      return entries.filter(e => e.isDirectory()).map(e => e.name);
+    },
+    async list(cal) {
+      await ready;
+      const files = (await fs.readdir(path.join(dir, cal)).catch(() => [])).filter(f => f.endsWith('.ics'));
+      return Promise.all(files.map(async f => [f, await fs.readFile(path.join(dir, cal, f), 'utf8')]));
+    },
+    async read(cal, file) {
+      await ready;
+      return fs.readFile(path.join(dir, cal, safe(file)), 'utf8').catch(() => undefined);
+    },
+    async write(cal, file, data) {
+      await ready;
+      await fs.mkdir(path.join(dir, cal), { recursive: true });
+      await fs.writeFile(path.join(dir, cal, safe(file)), data, 'utf8');
+    },
+    async remove(cal, file) {
+      await ready;
+      await fs.rm(path.join(dir, cal, safe(file)), { force: true });
+    },
+  };
+}
+
+// Object URLs look like local:///<calendar>/<file> so update/delete can find them again
+const objectUrl = (cal, file) => `local:///${encodeURIComponent(cal)}/${encodeURIComponent(file)}`;
+function parseUrl(url) {
+  const m = String(url).match(/^local:\/\/\/([^/]+)\/([^/]+)$/);
+  if (!m) throw notFound(`Not a local calendar object: ${url}`);
+  return { cal: decodeURIComponent(m[1]), file: decodeURIComponent(m[2]) };
+}
+
+export function createLocalBackend({ dir, calendars = [] } = {}) {
+  const store = dir ? dirStore(dir, calendars) : memoryStore(calendars);
+
+  return {
+    name: dir ? 'local' : 'memory',
+    dir,
+
+    async connect() {},
+
+    async listCalendars() {
+      return (await store.names()).map(n => ({ displayName: n, url: `local:///${encodeURIComponent(n)}/` }));
+    },
+
+    async getCtag(calendar) {
+      return versionOf(await store.list(calendar.displayName));
+    },
+
+    // Same contract as CalDAV sync-collection, by ETag diffing (the token is the CTag)
+    async syncObjects(calendar, { syncToken, known = [] } = {}) {
+      const files = await store.list(calendar.displayName);
+      const token = versionOf(files);
+      const now = files.map(([file, data]) => ({ url: objectUrl(calendar.displayName, file), etag: etagOf(data), data }));
+      if (!syncToken) return { syncToken: token, changed: now, deleted: [] };
+      if (syncToken === token) return { syncToken, changed: [], deleted: [] };
+
+      const had = new Map(known.map(o => [o.url, o.etag]));
+      const present = new Set(now.map(o => o.url));
+      return {
+        syncToken: token,
+        changed: now.filter(o => had.get(o.url) !== o.etag),
+        deleted: known.map(o => o.url).filter(url => !present.has(url)),
+      };
+    },
+
+    // Same contract as a CalDAV time-range query: objects with any occurrence in range
+    async fetchObjects(calendar, range) {
+      const out = [];
+      for (const [file, data] of await store.list(calendar.displayName)) {
+        const hit = extractEvents(data, range).some(ev => ev.start < range.end && ev.end > range.start);
+        if (hit) out.push({ url: objectUrl(calendar.displayName, file), etag: etagOf(data), data });
+      }
+      return out;
+    },
+
+    async getObject(calendar, filename) {
+      const data = await store.read(calendar.displayName, filename);
+      return data === undefined ? null : { url: objectUrl(calendar.displayName, filename), etag: etagOf(data), data };
+    },
+
+    async createObject(calendar, { filename, data }) {
+      if (await store.read(calendar.displayName, filename) !== undefined) {
+        throw conflict(`${filename} already exists`);
+      }
+      await store.write(calendar.displayName, filename, data);
+      return { url: objectUrl(calendar.displayName, filename), etag: etagOf(data) };
+    },
+
+    async updateObject({ url, etag, data }) {
+      const { cal, file } = parseUrl(url);
+      const current = await store.read(cal, file);
+      if (current === undefined) throw notFound(`${file} not found`);
+      if (etag && etag !== etagOf(current)) throw conflict(`${file} was modified`);
+      await store.write(cal, file, data);
+      return { url, etag: etagOf(data) };
+    },
+
+    async deleteObject({ url, etag }) {
+      const { cal, file } = parseUrl(url);
+      const current = await store.read(cal, file);
+      if (current === undefined) throw notFound(`${file} not found`);
+      if (etag && etag !== etagOf(current)) throw conflict(`${file} was modified`);
+      await store.remove(cal, file);
+    },
+  };
+}
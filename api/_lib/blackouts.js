@@ -0,0 +1,152 @@
+// api/_lib/blackouts.js  — studio closures in the Blackouts calendar (list, add, remove)
+//
+// A blackout is an all-day event: one day, a range of days, or a repeating rule
+// ("every Monday", "Dec 24–26 every year"). Its SUMMARY is the reason. Any event in the
+// calendar counts — ones added by hand in a calendar app show up here too. With `resource`
+// it goes in that room's / engineer's own blackouts calendar and closes only that one.
+import { openCalendars, fetchRange, createBlackoutObject, getBlackoutObject, newBookingUid } from './calendar.js';
+import { buildICS, describeEvent, getICSFromObj } from './ics.js';
+import { addDays, dayBounds, dayKeyOf, toDayKey } from './time.js';
+
+const MAX_RANGE_DAYS = 366;
+const FREQS = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Same shape as booking errors: an HTTP status + JSON body the route hands back
+function blackoutError(status, error, extra = {}) {
+  const err = new Error(error);
+  err.status = status;
+  err.body = { error, ...extra };
+  return err;
+}
+
+/* { freq, interval?, until?, count?, byDay? } → RRULE value, or throws 400 */
+export function toRRule(repeat) {
+  const freq = String(repeat?.freq || '').toUpperCase();
+  if (!FREQS.includes(freq)) throw blackoutError(400, `repeat.freq must be one of ${FREQS.join(', ').toLowerCase()}`);
+
+  const parts = [`FREQ=${freq}`];
+  if (repeat.interval !== undefined) {
+    const n = Number(repeat.interval);
+    if (!Number.isInteger(n) || n < 1 || n > 52) throw blackoutError(400, 'repeat.interval must be 1–52');
+    if (n > 1) parts.push(`INTERVAL=${n}`);
+  }
+  if (repeat.byDay !== undefined) {
+    const days = [].concat(repeat.byDay).map(d => String(d).slice(0, 2).toUpperCase());
+    if (!days.length || days.some(d => !WEEKDAYS.includes(d))) throw blackoutError(400, 'repeat.byDay must be weekdays (mo, tu, …)');
+    parts.push(`BYDAY=${days.join(',')}`);
+  }
+  if (repeat.until !== undefined && repeat.count !== undefined) throw blackoutError(400, 'repeat takes until or count, not both');
+  if (repeat.until !== undefined) {
+    const until = toDayKey(repeat.until);
+    if (!until) throw blackoutError(400, 'invalid repeat.until');
+    parts.push(`UNTIL=${until.replace(/-/g, '')}`);
+  }
+  if (repeat.count !== undefined) {
+    const n = Number(repeat.count);
+    if (!Number.isInteger(n) || n < 1 || n > 1000) throw blackoutError(400, 'repeat.count must be 1–1000');
+    parts.push(`COUNT=${n}`);
+  }
+  return parts.join(';');
+}
+
+/* Calendar object → the blackout as the API shows it (+ its days inside `events`) */
+function toBlackout(obj, events) {
+  const ev = describeEvent(getICSFromObj(obj));
+  if (!ev) return null;
+  // All-day DTEND is exclusive; timed closures (added by hand) end on their own day
+  const lastDay = ev.allDay ? addDays(dayKeyOf(ev.end), -1) : dayKeyOf(ev.end);
+  return {
+    uid: ev.uid,
+    etag: obj.etag,
+    resource: obj.resource || null,
+    reason: ev.summary,
+    note: ev.description || null,
+    date: dayKeyOf(ev.start),
+    endDate: lastDay < dayKeyOf(ev.start) ? dayKeyOf(ev.start) : lastDay,
+    allDay: ev.allDay,
+    recurring: ev.recurring,
+    rrule: ev.rrule,
+    ...(events && {
+      occurrences: events
+        .filter(e => e.uid === ev.uid)
+        .map(e => ({
+          date: dayKeyOf(e.start),
+          endDate: e.allDay ? addDays(dayKeyOf(e.end), -1) : dayKeyOf(e.end),
+        })),
+    }),
+  };
+}
+
+/* Blackouts with a day in [startDay, endDay] */
+export async function listBlackouts(startDay, endDay, { cals } = {}) {
+  cals = cals || await openCalendars();
+  const range = { start: dayBounds(startDay).start, end: dayBounds(endDay).end };
+  const { blackoutObjs, blackoutEvents } = await fetchRange(cals, range);
+  return blackoutObjs
+    .map(obj => toBlackout(obj, blackoutEvents))
+    .filter(Boolean)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/* Close the studio (or one resource): { date, endDate?, reason, note?, repeat?, resource? } */
+export async function createBlackout({ date, endDate, reason, note, repeat, resource } = {}) {
+  const day = toDayKey(date);
+  if (!day) throw blackoutError(400, 'invalid date');
+  const last = endDate ? toDayKey(endDate) : day;
+  if (!last || last < day) throw blackoutError(400, 'invalid endDate');
+  if ((Date.parse(last) - Date.parse(day)) / 86400000 >= MAX_RANGE_DAYS) {
+    throw blackoutError(400, `a blackout spans at most ${MAX_RANGE_DAYS} days`);
+  }
+  const summary = String(reason || '').trim();
+  if (!summary) throw blackoutError(400, 'reason required');
+
+  const rrule = repeat ? toRRule(repeat) : null;
+  const cals = await openCalendars();
+  if (resource && !cals.resources.find(r => r.id === resource)?.blackouts) {
+    throw blackoutError(400, 'resource has no blackouts calendar', { resource });
+  }
+  const uid = newBookingUid();
+  const ics = buildICS({ uid, date: day, endDate: last, summary, note, rrule });
+  await createBlackoutObject(cals, { uid, ics, resource });
+
+  // Bookings already on those days stay — say so, so someone can move them
+  // (for a repeating blackout only its first occurrence is checked)
+  const { bookingEvents } = await fetchRange(cals, { start: dayBounds(day).start, end: dayBounds(last).end });
+  const conflicts = [...new Set(bookingEvents
+    .filter(e => e.status !== 'CANCELLED' && (!resource || e.resource === resource))
+    .map(e => e.uid))];
+
+  const created = await getBlackoutObject(cals, uid);
+  return { blackout: toBlackout(created || { data: ics, resource }), conflicts };
+}
+
+/* An object by UID: `<uid>.ics` for ours, otherwise look through nearby years (hand-made ones) */
+async function findBlackoutObject(cals, uid) {
+  const direct = await getBlackoutObject(cals, uid);
+  if (direct) return direct;
+
+  const today = dayKeyOf(new Date());
+  const range = { start: dayBounds(addDays(today, -366)).start, end: dayBounds(addDays(today, 3 * 366)).end };
+  const { blackoutObjs } = await fetchRange(cals, range);
+  return blackoutObjs.find(obj => describeEvent(getICSFromObj(obj))?.uid === uid) || null;
+}
+
+/* Reopen: delete the blackout (the whole series for a repeating one) */
+export async function deleteBlackout(uid, { ifMatch } = {}) {
+  const cals = await openCalendars();
+  const obj = await findBlackoutObject(cals, uid);
+  if (!obj) throw blackoutError(404, 'blackout not found', { uid });
+  if (ifMatch && ifMatch !== '*' && ifMatch !== obj.etag) {
+    throw blackoutError(412, 'blackout was modified', { etag: obj.etag });
+  }
+
+  try {
+    await cals.backend.deleteObject({ url: obj.url, etag: obj.etag });
+  } catch (e) {
+    if (e?.status === 412) throw blackoutError(412, 'blackout was modified');
+    if (e?.status === 404) throw blackoutError(404, 'blackout not found', { uid });
+    throw e;
+  }
+  return toBlackout(obj);
+}
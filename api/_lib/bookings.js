@@ -0,0 +1,487 @@
+// api/_lib/bookings.js  — make, look up, cancel and move bookings
+import {
+  openCalendars, fetchRange, getBookingObject, createBookingObject, newBookingUid, bookingUidForSession,
+} from './calendar.js';
+import { buildICS, describeEvent, rescheduleICS, updateEventICS } from './ics.js';
+import { checkBooking } from './rules.js';
+import { releaseHold } from './holds.js';
+import { dayKeyOf, dayBounds, formatTime } from './time.js';
+import { stripeRequest, createRefund } from './stripe.js';
+import { CATALOG, getService } from './catalog.js';
+import { validateCustomer, describeCustomer, STUDIO } from './customer.js';
+import { notify } from './notify/index.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Where Stripe sends the customer back after paying a balance
+const SITE_BASE = process.env.SITE_BASE || 'https://609music.com';
+
+/* "days:percent" rules — a rule applies when the booking starts more than `days` days from now.
+   "7:100,0:50" = full refund more than 7 days out, 50% within 7 days, nothing once it started. */
+export function parsePolicy(str) {
+  return String(str || '')
+    .split(',')
+    .map(r => r.trim().split(':').map(Number))
+    .filter(([days, percent]) => Number.isFinite(days) && Number.isFinite(percent))
+    .map(([days, percent]) => ({ days, percent: Math.max(0, Math.min(100, percent)) }))
+    .sort((a, b) => b.days - a.days);
+}
+
+export const CANCEL_POLICY = parsePolicy(process.env.CANCEL_POLICY || '7:100,0:50');
+
+export function refundPercent(startsAt, now = new Date(), policy = CANCEL_POLICY) {
+  const daysOut = (new Date(startsAt).getTime() - now.getTime()) / DAY;
+  return policy.find(r => daysOut > r.days)?.percent ?? 0;
+}
+
+// Errors with an HTTP status + JSON body the routes can hand straight back
+function bookingError(status, error, extra = {}) {
+  const err = new Error(error);
+  err.status = status;
+  err.body = { error, ...extra };
+  return err;
+}
+
+const cents = (v) => (v === undefined || v === '' ? null : Number(v));
+
+/* Amounts on a booking (cents). A deposit booking owes `amountTotal - amountPaid` until the
+   balance is paid; the deposit itself is kept on cancellation. */
+function paymentOf(props) {
+  const amountPaid = cents(props['X-AMOUNT-PAID']);
+  const amountTotal = cents(props['X-AMOUNT-TOTAL']) ?? amountPaid;
+  const amountDue = amountTotal === null ? 0 : Math.max(0, amountTotal - (amountPaid || 0));
+  return {
+    sessionId: props['X-STRIPE-SESSION-ID'] || null,
+    paymentIntent: props['X-STRIPE-PAYMENT-INTENT'] || null,
+    amountPaid,
+    amountTotal,
+    amountDue,
+    deposit: cents(props['X-AMOUNT-DEPOSIT']),
+    // Refunded outside the API (dashboard), per payment — kept up to date by the webhook
+    refunded: {
+      payment: cents(props['X-AMOUNT-REFUNDED']),
+      balance: cents(props['X-BALANCE-AMOUNT-REFUNDED']),
+    },
+    status: props['X-PAYMENT-STATUS'] || (amountPaid === null ? null : amountDue ? 'deposit' : 'paid'),
+    balance: props['X-STRIPE-BALANCE-PAYMENT-INTENT'] ? {
+      sessionId: props['X-STRIPE-BALANCE-SESSION-ID'] || null,
+      paymentIntent: props['X-STRIPE-BALANCE-PAYMENT-INTENT'],
+    } : null,
+  };
+}
+
+function customerOf(props) {
+  let answers = {};
+  try {
+    answers = props['X-INTAKE'] ? JSON.parse(props['X-INTAKE']) : {};
+  } catch { /* hand-edited event */ }
+  return {
+    name: props['X-CUSTOMER-NAME'] || null,
+    email: props['X-CUSTOMER-EMAIL'] || null,
+    phone: props['X-CUSTOMER-PHONE'] || null,
+    artist: props['X-CUSTOMER-ARTIST'] || null,
+    answers,
+  };
+}
+
+/* Calendar object → the booking as the API shows it */
+export function toBooking(obj) {
+  const ev = describeEvent(obj.data);
+  if (!ev) return null;
+  const customer = customerOf(ev.props);
+  // Bookings with customer details keep the note apart (DESCRIPTION has both)
+  const hasDetails = Object.keys(ev.props).some(k => k.startsWith('X-CUSTOMER-') || k === 'X-INTAKE');
+  return {
+    uid: ev.uid,
+    etag: obj.etag,
+    summary: ev.summary,
+    note: ev.props['X-NOTE'] ?? (hasDetails ? '' : ev.description),
+    status: ev.status || 'CONFIRMED',
+    date: dayKeyOf(ev.start),
+    allDay: ev.allDay,
+    ...(!ev.allDay && { start: formatTime(ev.start), end: formatTime(ev.end) }),
+    startsAt: ev.start.toISOString(),
+    endsAt: ev.end.toISOString(),
+    recurring: ev.recurring,
+    // Moves made through the customer's link (manage.js limits them)
+    customerReschedules: Number(ev.props['X-CUSTOMER-RESCHEDULES']) || 0,
+    // The room / engineer: recorded on the event, else whose calendar it is in
+    resource: ev.props['X-RESOURCE-ID'] || obj.resource || null,
+    customer,
+    service: {
+      id: ev.props['X-SERVICE-ID'] || null,
+      addOns: ev.props['X-ADD-ONS'] ? ev.props['X-ADD-ONS'].split(',') : [],
+      coupon: ev.props['X-COUPON'] ? { code: ev.props['X-COUPON'], discount: cents(ev.props['X-DISCOUNT']) } : null,
+    },
+    payment: paymentOf(ev.props),
+  };
+}
+
+/* { cals, obj, booking } for a UID, or null */
+export async function findBooking(uid, { cals } = {}) {
+  cals = cals || await openCalendars();
+  const obj = await getBookingObject(cals, uid);
+  if (!obj) return null;
+  return { cals, obj, booking: toBooking(obj) };
+}
+
+/* Bookings touching [startDay, endDay], soonest first. Filters (all optional):
+   status (confirmed / tentative / cancelled), paymentStatus, serviceId, resource, and `q` — text
+   matched against the summary, note, customer details, UID and Stripe ids. */
+export async function listBookings(startDay, endDay, { status, paymentStatus, serviceId, resource, q, cals } = {}) {
+  cals = cals || await openCalendars();
+  const { bookingObjs } = await fetchRange(cals, { start: dayBounds(startDay).start, end: dayBounds(endDay).end });
+
+  const needle = String(q || '').trim().toLowerCase();
+  const matches = (b) => [
+    b.uid, b.summary, b.note,
+    b.customer.name, b.customer.email, b.customer.phone, b.customer.artist,
+    b.payment.sessionId, b.payment.paymentIntent,
+  ].some(v => v && String(v).toLowerCase().includes(needle));
+
+  return bookingObjs
+    .map(toBooking)
+    .filter(Boolean)
+    .filter(b => !status || b.status === String(status).toUpperCase())
+    .filter(b => !paymentStatus || b.payment.status === paymentStatus)
+    .filter(b => !serviceId || b.service.id === serviceId)
+    .filter(b => !resource || b.resource === resource)
+    .filter(b => !needle || matches(b))
+    .sort((a, b) => a.startsAt.localeCompare(b.startsAt));
+}
+
+/* Make a booking if the rules allow it → { booking, existing }. Throws 400 / 409 (bookingError).
+   With `uid` it is made exactly once: repeating the call (a retried webhook) returns the
+   existing booking instead of a second one. `holdUid` is the checkout hold it replaces;
+   without `resource` the first free room / engineer that takes the service gets it.
+   input: { uid?, date, start?, duration?, summary, note, stripe, holdUid, serviceId, addOns,
+            coupon, customer, answers, resource } */
+export async function createBooking({
+  uid: wantUid, date, start, duration, summary = '609 Booking', note = '', stripe = {}, holdUid, serviceId, addOns,
+  coupon, customer: customerIn, answers: answersIn, resource,
+} = {}) {
+  if (!date) throw bookingError(400, 'date required');
+
+  // Who booked (name / email / phone / artist) + the service's intake answers
+  const service = getService(serviceId);
+  const who = validateCustomer(customerIn, answersIn, { service });
+  if (!who.ok) throw bookingError(400, who.invalid);
+  const { customer, answers } = who;
+
+  const cals = await openCalendars();
+  if (wantUid) {
+    const existing = await getBookingObject(cals, wantUid);
+    if (existing) return { booking: toBooking(existing), existing: true };
+  }
+
+  // `date` is a studio-local day; `start` ("HH:mm") + `duration` (hours) make it a timed session.
+  // A checkout hold being confirmed doesn't count against itself.
+  const check = await checkBooking({ date, start, duration, serviceId, resource }, { cals, ignoreUid: holdUid });
+  if (check.invalid) throw bookingError(400, check.invalid);
+
+  const { day, session, status } = check;
+  if (!check.ok) {
+    throw session
+      ? bookingError(409, 'time not available', { start, duration, isBlackout: status.blackout, reason: check.reason })
+      : bookingError(409, 'date not available', { bookedCount: status.bookedCount, isBlackout: status.blackout, reason: check.reason });
+  }
+
+  // Create the booking (timed session or all-day)
+  const uid = wantUid || newBookingUid();
+  // A deposit booking was paid less than its total; the rest is due later.
+  // A delayed payment method (bank debit, …) holds the slot until Stripe says it settled.
+  const pending = Boolean(stripe.pending);
+  const total = stripe.amountTotal ?? stripe.amountPaid ?? null;
+  const paid = pending ? 0 : stripe.amountPaid ?? null;
+  const details = describeCustomer(customer, answers, service);
+  const ics = buildICS({
+    uid, date: day, start: session?.start, end: session?.end,
+    note: [note, details].filter(Boolean).join('\n\n'),
+    summary: pending ? labelSummary(summary, PAYMENT_LABELS.pending) : summary,
+    organizer: STUDIO,
+    attendee: customer,
+    // Payment the booking came from — cancellation refunds go back to it
+    properties: {
+      'X-STRIPE-SESSION-ID': stripe.sessionId,
+      'X-STRIPE-PAYMENT-INTENT': stripe.paymentIntent,
+      'X-AMOUNT-PAID': paid,
+      'X-AMOUNT-TOTAL': total,
+      'X-AMOUNT-DEPOSIT': stripe.deposit,
+      'X-PAYMENT-STATUS': pending ? 'pending' : paid === null ? null : paid < total ? 'deposit' : 'paid',
+      // What was bought (catalog service + add-ons)
+      'X-SERVICE-ID': serviceId,
+      'X-RESOURCE-ID': check.resource,
+      'X-ADD-ONS': Array.isArray(addOns) ? addOns.join(',') : addOns,
+      'X-COUPON': coupon?.code,
+      'X-DISCOUNT': coupon?.discount,
+      // Who booked — DESCRIPTION has the same for people, these are for the API
+      'X-NOTE': note,
+      'X-CUSTOMER-NAME': customer.name,
+      'X-CUSTOMER-EMAIL': customer.email,
+      'X-CUSTOMER-PHONE': customer.phone,
+      'X-CUSTOMER-ARTIST': customer.artist,
+      'X-INTAKE': Object.keys(answers).length ? JSON.stringify(answers) : null,
+    },
+  });
+
+  let created;
+  try {
+    created = await createBookingObject(cals, { uid, ics, resource: check.resource });
+  } catch (e) {
+    // Lost a race with an identical call — theirs is the booking
+    const existing = wantUid && e?.status === 412 ? await getBookingObject(cals, uid) : null;
+    if (!existing) throw e;
+    return { booking: toBooking(existing), existing: true };
+  }
+
+  // The real booking now holds the slot
+  if (holdUid && holdUid !== uid) {
+    await releaseHold(holdUid, { cals }).catch(e => console.error('[book] releasing hold failed:', e?.message || e));
+  }
+
+  return { booking: toBooking({ data: ics, etag: created?.etag, resource: check.resource }), existing: false };
+}
+
+async function requireBooking(uid, ifMatch) {
+  const found = await findBooking(uid);
+  if (!found?.booking) throw bookingError(404, 'booking not found', { uid });
+  // Optimistic concurrency: the caller's ETag must still be current
+  if (ifMatch && ifMatch !== '*' && ifMatch !== found.obj.etag) {
+    throw bookingError(412, 'booking was modified', { etag: found.obj.etag });
+  }
+  return found;
+}
+
+// Backend writes send the ETag too, so a change in between still surfaces as 412
+async function write(promise) {
+  try {
+    return await promise;
+  } catch (e) {
+    if (e?.status === 412) throw bookingError(412, 'booking was modified');
+    if (e?.status === 404) throw bookingError(404, 'booking not found');
+    throw e;
+  }
+}
+
+// What `mode` gives back of each payment → { percent, paid, deposit, alreadyRefunded, payments: [{ pi, value }] }
+async function refundPlan(p, mode, startsAt, now) {
+  const paid = Number(p.amountPaid
+    ?? (await stripeRequest(`payment_intents/${encodeURIComponent(p.paymentIntent)}`)).amount_received) || 0;
+  const deposit = p.deposit || 0;
+  const percent = mode === 'full' ? 100 : refundPercent(startsAt, now);
+
+  // The first payment carried the deposit; a balance payment is its own PaymentIntent.
+  // What was refunded already (the dashboard, an earlier attempt) counts towards the refund.
+  const before = { payment: p.refunded?.payment || 0, balance: p.refunded?.balance || 0 };
+  const payments = p.balance
+    ? [{ pi: p.paymentIntent, amount: deposit, kept: deposit, refunded: before.payment },
+       { pi: p.balance.paymentIntent, amount: paid - deposit, kept: 0, refunded: before.balance }]
+    : [{ pi: p.paymentIntent, amount: paid, kept: deposit, refunded: before.payment }];
+
+  return {
+    percent,
+    paid,
+    deposit,
+    alreadyRefunded: before.payment + before.balance,
+    payments: payments.map(({ pi, amount, kept, refunded }) => {
+      const refundable = mode === 'full' ? amount : Math.max(0, amount - kept);
+      return { pi, value: Math.max(0, Math.floor(refundable * percent / 100) - refunded) };
+    }),
+  };
+}
+
+/* What refundBooking would give back now → { amount, percent } (percent of what was paid) */
+export async function refundQuote(booking, mode = 'policy', now = new Date()) {
+  const p = booking.payment || {};
+  if (mode === 'none' || !p.paymentIntent) return { amount: 0, percent: 0 };
+  const plan = await refundPlan(p, mode, booking.startsAt, now);
+  const amount = plan.payments.reduce((sum, { value }) => sum + value, 0);
+  return { amount, percent: plan.paid ? Math.round(amount / plan.paid * 100) : 0 };
+}
+
+/* Refund according to `mode`: 'policy' (CANCEL_POLICY), 'full' or 'none'.
+   The policy never returns a deposit; 'full' gives back everything that was paid. */
+export async function refundBooking(booking, mode = 'policy', now = new Date()) {
+  const p = booking.payment || {};
+  if (mode === 'none') return { status: 'skipped', reason: 'refund not requested' };
+  if (!p.paymentIntent) return { status: 'skipped', reason: 'no payment on booking' };
+
+  const refundIds = [];
+  let refunded = 0;
+  try {
+    const { percent, deposit, alreadyRefunded, payments } = await refundPlan(p, mode, booking.startsAt, now);
+    for (const { pi, value } of payments) {
+      if (!value) continue;
+      refundIds.push((await createRefund(pi, value)).id);
+      refunded += value;
+    }
+
+    if (!refunded) {
+      let reason = 'policy allows no refund';
+      if (percent && alreadyRefunded) reason = 'already refunded';
+      else if (percent && deposit) reason = 'deposit is non-refundable';
+      return { status: 'skipped', reason, percent, amount: 0 };
+    }
+    return { status: 'refunded', percent, amount: refunded, refundIds };
+  } catch (e) {
+    return { status: 'failed', error: String(e?.message || e), amount: refunded, refundIds };
+  }
+}
+
+/* A balance Checkout Session completed: add it to what the booking has been paid.
+   Safe to repeat — the same session is only counted once. */
+export async function recordBalancePayment(uid, { sessionId, paymentIntent, amount }) {
+  const found = await findBooking(uid);
+  if (!found?.booking) throw bookingError(404, 'booking not found', { uid });
+  const { cals, obj, booking } = found;
+  if (booking.payment.balance?.sessionId === sessionId) return { booking, recorded: false };
+
+  const paid = (booking.payment.amountPaid || 0) + Number(amount || 0);
+  const total = booking.payment.amountTotal ?? paid;
+  const data = updateEventICS(obj.data, {
+    properties: {
+      'X-AMOUNT-PAID': paid,
+      'X-PAYMENT-STATUS': paid >= total ? 'paid' : 'deposit',
+      'X-STRIPE-BALANCE-SESSION-ID': sessionId,
+      'X-STRIPE-BALANCE-PAYMENT-INTENT': paymentIntent,
+    },
+  });
+  const updated = await write(cals.backend.updateObject({ url: obj.url, etag: obj.etag, data }));
+  return { booking: toBooking({ ...obj, etag: updated?.etag, data }), recorded: true };
+}
+
+/* Delete the booking, then refund per `refund` mode and tell the customer */
+export async function cancelBooking(uid, { ifMatch, refund = 'policy', now = new Date() } = {}) {
+  const { cals, obj, booking } = await requireBooking(uid, ifMatch);
+
+  await write(cals.backend.deleteObject({ url: obj.url, etag: obj.etag }));
+
+  const refunded = await refundBooking(booking, refund, now);
+  const notified = await notify('cancelled', booking, { refund: refunded });
+  return { cancelled: booking, refund: refunded, notified };
+}
+
+/* Move the booking to { date, start?, duration? } if the capacity rules allow it there.
+   `keepLength` (customer links) allows only a new date / start. */
+export async function rescheduleBooking(uid, { date, start, duration, ifMatch, keepLength = false } = {}) {
+  const { cals, obj, booking } = await requireBooking(uid, ifMatch);
+  if (booking.recurring) throw bookingError(409, 'recurring events cannot be rescheduled');
+
+  const hours = (new Date(booking.endsAt) - new Date(booking.startsAt)) / (60 * 60 * 1000);
+  if (keepLength) {
+    // Only the date / start move: same length, and all-day stays all-day
+    if (booking.allDay && (start || duration !== undefined)) {
+      throw bookingError(400, 'an all-day booking can only move to another date');
+    }
+    if (!booking.allDay && !start) throw bookingError(400, 'start required');
+    if (!booking.allDay && duration !== undefined && Number(duration) !== hours) {
+      throw bookingError(400, 'duration cannot be changed', { duration: hours });
+    }
+    duration = booking.allDay ? undefined : hours;
+  } else if (start && duration === undefined && !booking.allDay) {
+    // A timed booking keeps its length unless a new one is given
+    duration = hours;
+  }
+
+  // The booking stays with its room / engineer (moving calendars is a cancel + rebook)
+  const check = await checkBooking(
+    { date, start, duration, serviceId: booking.service.id, resource: booking.resource },
+    { cals, ignoreUid: uid },
+  );
+  if (check.invalid) throw bookingError(400, check.invalid);
+  if (!check.ok) throw bookingError(409, 'new time not available', { reason: check.reason, day: check.status });
+
+  let data = rescheduleICS(obj.data, {
+    date: check.day,
+    start: check.session?.start,
+    end: check.session?.end,
+  });
+  if (keepLength) {
+    data = updateEventICS(data, { properties: { 'X-CUSTOMER-RESCHEDULES': booking.customerReschedules + 1 } });
+  }
+  const updated = await write(cals.backend.updateObject({ url: obj.url, etag: obj.etag, data }));
+
+  const to = toBooking({ ...obj, etag: updated?.etag, data });
+  const notified = await notify('rescheduled', to, { from: booking });
+  return { from: booking, to, notified };
+}
+
+/* Stripe Checkout link for what a deposit booking still owes.
+   The webhook sees metadata kind=balance and records the payment on the booking. */
+export async function createBalanceCheckout(uid) {
+  const found = await findBooking(uid);
+  if (!found?.booking) throw bookingError(404, 'booking not found', { uid });
+  const { booking } = found;
+  const due = booking.payment.amountDue;
+  if (!due) throw bookingError(409, 'nothing left to pay', { payment: booking.payment });
+
+  const back = `${SITE_BASE}/services.html?date=${encodeURIComponent(booking.date)}`;
+  const session = await stripeRequest('checkout/sessions', {
+    mode: 'payment',
+    success_url: `${back}&balance_paid=1&session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${back}&balance_canceled=1`,
+    'line_items[0][price_data][currency]': CATALOG.currency,
+    'line_items[0][price_data][product_data][name]': `Balance — ${booking.summary}`,
+    'line_items[0][price_data][unit_amount]': String(due),
+    'line_items[0][quantity]': '1',
+    'metadata[kind]': 'balance',
+    'metadata[booking_uid]': uid,
+    'payment_intent_data[metadata][kind]': 'balance',
+    'payment_intent_data[metadata][booking_uid]': uid,
+  });
+
+  return {
+    url: session.url,
+    sessionId: session.id,
+    amountDue: due,
+    currency: CATALOG.currency,
+    expiresAt: session.expires_at ? new Date(session.expires_at * 1000).toISOString() : null,
+  };
+}
+
+/* ---------------- Payment state from Stripe events ---------------- */
+
+// Summary prefixes that show payment trouble in any calendar app ("[Refunded] Mix (3h)")
+export const PAYMENT_LABELS = {
+  pending: 'Payment pending',
+  failed: 'Payment failed',
+  refunded: 'Refunded',
+  disputed: 'Disputed',
+  disputeLost: 'Dispute lost',
+};
+const LABEL_RE = new RegExp(`^\\[(?:${Object.values(PAYMENT_LABELS).join('|')})\\]\\s*`);
+
+/* Summary with `label` in front (null: none), replacing any earlier payment label */
+export function labelSummary(summary, label) {
+  const bare = String(summary || '').replace(LABEL_RE, '');
+  return label ? `[${label}] ${bare}` : bare;
+}
+
+/* Reflect a payment change on the booking: X-PAYMENT-STATUS, the summary label and — when
+   the money is gone — STATUS:CANCELLED, which frees the slot but keeps the record.
+   `cancelled: false` restores a booking cancelled earlier (e.g. a dispute that was won). */
+export async function setPaymentState(uid, { paymentStatus, label = null, cancelled, properties = {} }) {
+  const found = await findBooking(uid);
+  if (!found?.booking) throw bookingError(404, 'booking not found', { uid });
+  const { cals, obj, booking } = found;
+
+  const data = updateEventICS(obj.data, {
+    summary: labelSummary(booking.summary, label),
+    ...(cancelled !== undefined && { status: cancelled ? 'CANCELLED' : 'CONFIRMED' }),
+    properties: { ...properties, 'X-PAYMENT-STATUS': paymentStatus },
+  });
+  const updated = await write(cals.backend.updateObject({ url: obj.url, etag: obj.etag, data }));
+  return toBooking({ ...obj, etag: updated?.etag, data });
+}
+
+/* Booking UID a PaymentIntent paid for: its booking_uid metadata (set by the webhook, or at
+   creation for balance payments), else the Checkout Session it came from. Null if none. */
+export async function bookingUidForPayment(paymentIntent) {
+  if (!paymentIntent) return null;
+  const pi = await stripeRequest(`payment_intents/${encodeURIComponent(paymentIntent)}`);
+  if (pi?.metadata?.booking_uid) return pi.metadata.booking_uid;
+
+  const sessions = await stripeRequest(`checkout/sessions?payment_intent=${encodeURIComponent(paymentIntent)}&limit=1`);
+  const sess = sessions?.data?.[0];
+  return sess ? (sess.metadata?.booking_uid || bookingUidForSession(sess.id)) : null;
+}
@@ -0,0 +1,42 @@
+// api/_lib/botcheck.js  — keep scripts from opening Stripe sessions (used by /api/checkout)
+//
+// Two optional layers; the booking page opts into each:
+//   honeypot   a hidden `website` field people never see — anything in it means a bot
+//   Turnstile  with TURNSTILE_SECRET_KEY set, the body must carry the widget's
+//              `turnstileToken` (or the `cf-turnstile-response` field), checked with Cloudflare
+const { TURNSTILE_SECRET_KEY } = process.env;
+
+const VERIFY_URL = 'https://challenges.cloudflare.com/turnstile/v0/siteverify';
+const VERIFY_TIMEOUT_MS = 5000;
+export const HONEYPOT_FIELD = 'website';
+
+export const turnstileConfigured = () => Boolean(TURNSTILE_SECRET_KEY);
+
+/* Cloudflare's verdict on a widget token → { ok, codes } */
+export async function verifyTurnstile(token, ip, { secret = TURNSTILE_SECRET_KEY } = {}) {
+  const form = new URLSearchParams({ secret, response: token });
+  if (ip && ip !== 'unknown') form.set('remoteip', ip);
+  const r = await fetch(VERIFY_URL, { method: 'POST', body: form, signal: AbortSignal.timeout(VERIFY_TIMEOUT_MS) });
+  const json = await r.json().catch(() => ({}));
+  return { ok: json.success === true, codes: json['error-codes'] || [] };
+}
+
+/* { ok: true } for a person, else { ok: false, status, error } to answer with */
+export async function checkHuman(body, ip) {
+  if (String(body?.[HONEYPOT_FIELD] ?? '').trim()) {
+    return { ok: false, status: 400, error: 'request rejected' };
+  }
+  if (!turnstileConfigured()) return { ok: true };
+
+  const token = body?.turnstileToken || body?.['cf-turnstile-response'];
+  if (!token) return { ok: false, status: 403, error: 'bot check required' };
+  try {
+    const verdict = await verifyTurnstile(String(token), ip);
+    if (!verdict.ok) console.warn('[botcheck] Turnstile refused:', verdict.codes.join(', '));
+    return verdict.ok ? { ok: true } : { ok: false, status: 403, error: 'bot check failed' };
+  } catch (e) {
+    // Can't reach Cloudflare: let the person through rather than lose the booking
+    console.error('[botcheck] Turnstile unavailable:', e?.message || e);
+    return { ok: true };
+  }
+}
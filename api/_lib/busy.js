@@ -0,0 +1,100 @@
+// api/_lib/busy.js  — other calendars that make the studio (or one resource) busy
+//
+// BUSY_SOURCES (JSON array), each one of:
+//   { calendar: 'Sam Personal' }              a calendar on the CalDAV account, by name or URL
+//   { url: 'https://…/basic.ics' }            an .ics feed (webcal:// works too)
+//   { file: '/path/to/venue.ics' }            a local .ics file
+// plus optional { id, resource }: `resource` makes it count for that room / engineer only.
+//
+// Busy events never become bookings: they only take time away (a timed event blocks its
+// hours, an all-day one the whole day). Free/busy only — titles are dropped on read, and
+// TRANSP:TRANSPARENT or STATUS:CANCELLED events don't count. Feeds are cached for
+// BUSY_CACHE_SECONDS (300); a source that can't be read is skipped and reported, not fatal.
+import fs from 'node:fs/promises';
+import { eventsFromObjects } from './ics.js';
+
+const CACHE_MS = (Number(process.env.BUSY_CACHE_SECONDS) || 300) * 1000;
+const FEED_TIMEOUT_MS = 8000;
+
+function normalize(list) {
+  if (!Array.isArray(list)) throw new Error('BUSY_SOURCES must be an array');
+  return list.map((s, i) => {
+    const kinds = ['calendar', 'url', 'file'].filter(k => s?.[k]);
+    if (kinds.length !== 1) throw new Error('BUSY_SOURCES: every source needs one of calendar, url or file');
+    const kind = kinds[0];
+    return {
+      id: String(s.id || `${kind}-${i + 1}`),
+      kind,
+      target: String(s[kind]).replace(/^webcal:\/\//i, 'https://'),
+      resource: s.resource ? String(s.resource) : null,
+    };
+  });
+}
+
+function loadSources() {
+  const json = process.env.BUSY_SOURCES;
+  if (!json) return [];
+  try {
+    return normalize(JSON.parse(json));
+  } catch (e) {
+    throw new Error(`Invalid BUSY_SOURCES: ${e.message}`);
+  }
+}
+
+export const BUSY_SOURCES = loadSources();
+
+/* Display names of the CalDAV calendars BUSY_SOURCES asks for (URLs are resolved as found) */
+export function busyCalendarNames(sources = BUSY_SOURCES) {
+  return sources.filter(s => s.kind === 'calendar' && !/^https?:/i.test(s.target)).map(s => s.target);
+}
+
+const feedCache = new Map(); // url | file → { at, text }
+
+async function readFeed(source) {
+  const hit = feedCache.get(source.target);
+  if (hit && Date.now() - hit.at < CACHE_MS) return hit.text;
+
+  let text;
+  if (source.kind === 'file') {
+    text = await fs.readFile(source.target, 'utf8');
+  } else {
+    const r = await fetch(source.target, { signal: AbortSignal.timeout(FEED_TIMEOUT_MS) });
+    if (!r.ok) throw new Error(`feed returned ${r.status}`);
+    text = await r.text();
+  }
+  feedCache.set(source.target, { at: Date.now(), text });
+  return text;
+}
+
+const sameUrl = (a, b) => String(a || '').replace(/\/+$/, '') === String(b || '').replace(/\/+$/, '');
+
+async function objectsOf(source, cals, range, fresh) {
+  if (source.kind !== 'calendar') return [{ data: await readFeed(source) }];
+
+  const cal = (cals.calendars || []).find(c =>
+    sameUrl(c.url, source.target) || (c.displayName || '').toLowerCase() === source.target.toLowerCase());
+  if (!cal) throw new Error('calendar not found');
+  return cals.backend.fetchObjects(cal, range, { fresh });
+}
+
+/* Busy time from every source in `range`: { busyEvents, errors }.
+   Events are { start, end, allDay, resource } — nothing else is kept. */
+export async function fetchBusy(cals, range, { sources = BUSY_SOURCES, fresh = false } = {}) {
+  const results = await Promise.all(sources.map(async (source) => {
+    try {
+      const events = eventsFromObjects(await objectsOf(source, cals, range, fresh), range)
+        .filter(ev => ev.status !== 'CANCELLED' && !ev.transparent)
+        .filter(ev => ev.start < range.end && ev.end > range.start)
+        .map(ev => ({ start: ev.start, end: ev.end, allDay: ev.allDay, resource: source.resource, source: source.id }));
+      return { events };
+    } catch (e) {
+      console.error(`[busy] ${source.id} unavailable:`, e?.message || e);
+      return { events: [], error: { source: source.id, error: String(e?.message || e) } };
+    }
+  }));
+
+  return {
+    busyEvents: results.flatMap(r => r.events),
+    errors: results.filter(r => r.error).map(r => r.error),
+  };
+}
@@ -0,0 +1,151 @@
+// api/_lib/calendar.js  — Bookings / Blackouts calendars on whichever backend is configured
+//
+// Every resource (see resources.js) has a bookings calendar and maybe its own blackouts;
+// the studio-wide Blackouts calendar closes them all. Objects and events coming out of
+// fetchRange carry `resource` — the resource id, or null for studio-wide blackouts.
+import { eventsFromObjects } from './ics.js';
+import { getBackend } from './backends/index.js';
+import { RESOURCES } from './resources.js';
+import { busyCalendarNames } from './busy.js';
+
+const {
+  BOOKINGS_CAL_NAME = 'Bookings',
+  BLACKOUTS_CAL_NAME = 'Blackouts',
+} = process.env;
+
+export const CALENDAR_NAMES = { bookings: BOOKINGS_CAL_NAME, blackouts: BLACKOUTS_CAL_NAME };
+
+// Our own calendars — mirrored whole by the backend cache (backends/cached.js) — and every
+// calendar the backend has to know about (the memory / local backends create them)
+const STUDIO_CALENDAR_NAMES = [...new Set([
+  BOOKINGS_CAL_NAME,
+  BLACKOUTS_CAL_NAME,
+  ...RESOURCES.flatMap(r => [r.calendar, r.blackouts].filter(Boolean)),
+])];
+const ALL_CALENDAR_NAMES = [...new Set([...STUDIO_CALENDAR_NAMES, ...busyCalendarNames()])];
+
+// Errors carrying `expose` are safe to hand back to the caller as the JSON body
+function calendarError(error, extra = {}) {
+  const err = new Error(extra.detail || error);
+  err.expose = { error, ...extra };
+  return err;
+}
+
+/* The process-wide backend, set up for our calendars */
+export function calendarBackend() {
+  return getBackend({ calendars: ALL_CALENDAR_NAMES, mirror: STUDIO_CALENDAR_NAMES });
+}
+
+/* Backend + the calendars resolved by display name:
+   { backend, bookings, blackouts, resources: [{ ...resource, bookings, blackouts }], calendars }.
+   `bookings` is the first resource's calendar, `blackouts` the studio-wide one, `calendars`
+   every calendar on the account (busy sources are looked up there). */
+export async function openCalendars(backend = calendarBackend()) {
+  try {
+    await backend.connect();
+  } catch (e) {
+    throw calendarError('calendar connect failed', { backend: backend.name, detail: String(e?.message || e) });
+  }
+
+  let calendars;
+  try {
+    calendars = await backend.listCalendars();
+  } catch (e) {
+    throw calendarError('fetchCalendars failed', { detail: String(e?.message || e) });
+  }
+  if (!Array.isArray(calendars) || calendars.length === 0) {
+    throw calendarError('No calendars found');
+  }
+
+  const findCal = (name) =>
+    calendars.find(c => (c.displayName || '').toLowerCase() === String(name).toLowerCase());
+
+  const blackouts = findCal(BLACKOUTS_CAL_NAME);
+  const resources = RESOURCES.map(r => ({
+    ...r,
+    bookings: findCal(r.calendar),
+    blackouts: r.blackouts ? findCal(r.blackouts) : null,
+  }));
+  const missing = [
+    ...(blackouts ? [] : [BLACKOUTS_CAL_NAME]),
+    ...RESOURCES.flatMap((r, i) => [
+      !resources[i].bookings && r.calendar,
+      r.blackouts && !resources[i].blackouts && r.blackouts,
+    ].filter(Boolean)),
+  ];
+  if (missing.length) {
+    throw calendarError('Calendars not found', { missing, names: calendars.map(c => c.displayName) });
+  }
+
+  return { backend, bookings: resources[0].bookings, blackouts, resources, calendars };
+}
+
+/* Objects + expanded events of every calendar in [range.start, range.end), tagged with `resource`.
+   `fresh`: make sure the calendars haven't changed since a cached read (booking checks). */
+export async function fetchRange(cals, range, { fresh = false } = {}) {
+  const sources = [
+    ...cals.resources.map(r => ({ kind: 'booking', resource: r.id, cal: r.bookings })),
+    { kind: 'blackout', resource: null, cal: cals.blackouts },
+    ...cals.resources.filter(r => r.blackouts).map(r => ({ kind: 'blackout', resource: r.id, cal: r.blackouts })),
+  ];
+
+  let fetched;
+  try {
+    fetched = await Promise.all(sources.map(s => cals.backend.fetchObjects(s.cal, range, { fresh })));
+  } catch (e) {
+    throw calendarError('fetchCalendarObjects failed', { detail: String(e?.message || e) });
+  }
+
+  const out = { bookingObjs: [], blackoutObjs: [], bookingEvents: [], blackoutEvents: [] };
+  sources.forEach((s, i) => {
+    const objs = (fetched[i] || []).map(obj => ({ ...obj, resource: s.resource }));
+    out[`${s.kind}Objs`].push(...objs);
+    out[`${s.kind}Events`].push(...eventsFromObjects(objs, range).map(ev => ({ ...ev, resource: s.resource })));
+  });
+  return out;
+}
+
+const resourceOf = (cals, id) => (id ? cals.resources.find(r => r.id === id) : null) || cals.resources[0];
+
+/* Write a new event into a resource's bookings calendar (default: the first resource) */
+export async function createBookingObject(cals, { uid, ics, resource }) {
+  return cals.backend.createObject(resourceOf(cals, resource).bookings, { filename: `${uid}.ics`, data: ics });
+}
+
+/* Write a new event into the studio Blackouts calendar, or a resource's own blackouts */
+export async function createBlackoutObject(cals, { uid, ics, resource }) {
+  const cal = resource ? resourceOf(cals, resource).blackouts : cals.blackouts;
+  return cals.backend.createObject(cal, { filename: `${uid}.ics`, data: ics });
+}
+
+// First `<uid>.ics` found in `sources` ([{ resource, cal }]), tagged with its resource
+async function findObject(cals, sources, uid) {
+  for (const { resource, cal } of sources) {
+    const obj = await cals.backend.getObject(cal, `${uid}.ics`);
+    if (obj) return { ...obj, resource };
+  }
+  return null;
+}
+
+/* A blackout object by UID (stored as `<uid>.ics` like bookings) in any blackouts calendar, or null */
+export async function getBlackoutObject(cals, uid) {
+  return findObject(cals, [
+    { resource: null, cal: cals.blackouts },
+    ...cals.resources.filter(r => r.blackouts).map(r => ({ resource: r.id, cal: r.blackouts })),
+  ], uid);
+}
+
+/* A booking object by UID (bookings are stored as `<uid>.ics`) in any resource's calendar, or null */
+export async function getBookingObject(cals, uid) {
+  return findObject(cals, cals.resources.map(r => ({ resource: r.id, cal: r.bookings })), uid);
+}
+
+/* UID for a new booking or checkout hold */
+export function newBookingUid() {
+  return `${Date.now()}-${Math.random().toString(36).slice(2)}@609music`;
+}
+
+/* The booking a Checkout Session pays for — the same on every webhook retry */
+export function bookingUidForSession(sessionId) {
+  return `${sessionId}@609music`;
+}
@@ -0,0 +1,229 @@
+// api/_lib/catalog.js  — what the studio sells and what it costs (the server's price, not the page's)
+//
+// SERVICE_CATALOG (JSON, same shape as DEFAULT_CATALOG) replaces the built-in catalog.
+// Prices are in whole currency units (dollars); quotes come back in cents for Stripe.
+//
+//   service:  { id, name, perHour | flat, durations?: [hours], allDay?, addOns?: [addOn], deposit?, questions? }
+//   addOn:    { id, name, price | perHour }
+//   question: { id, label, required?, options?: [string] }  intake asked at checkout, kept on the booking
+//   deposit:  { percent } | { fixed }  non-refundable part paid up front (catalog-wide or per service)
+//   weekend:  { percent }            on the session price, Saturday/Sunday
+//   evening:  { fromHour, perHour }  for every session hour after `fromHour` (studio clock)
+import { SLOT_SETTINGS, parseDuration } from './slots.js';
+import { toDayKey, weekdayOf } from './time.js';
+
+const DEFAULT_CATALOG = {
+  currency: 'usd',
+  deposit: { percent: 30 },
+  surcharges: {
+    weekend: { percent: 20 },
+    evening: { fromHour: 18, perHour: 10 },
+  },
+  services: [
+    {
+      id: 'recording',
+      name: 'Recording Session',
+      perHour: 65,
+      durations: [2, 3, 4, 6, 8],
+      addOns: [
+        { id: 'engineer', name: 'Engineer', perHour: 35 },
+        { id: 'rough-mix', name: 'Rough mix bounce', price: 75 },
+      ],
+      questions: [
+        { id: 'tracking', label: 'What are you tracking?', options: ['Vocals', 'Full band', 'Instruments', 'Podcast / voice'] },
+        { id: 'references', label: 'Reference tracks (links)' },
+      ],
+    },
+    {
+      id: 'rehearsal',
+      name: 'Rehearsal',
+      perHour: 35,
+      durations: [2, 3, 4],
+      addOns: [{ id: 'backline', name: 'Backline (drums + amps)', price: 40 }],
+      questions: [{ id: 'band-size', label: 'How many people?', required: true }],
+    },
+    {
+      id: 'full-day',
+      name: 'Full Day Lockout',
+      flat: 550,
+      allDay: true,
+      deposit: { fixed: 200 },
+      addOns: [{ id: 'engineer', name: 'Engineer', price: 300 }],
+    },
+  ],
+};
+
+const money = (v) => (Number.isFinite(Number(v)) && Number(v) >= 0 ? Number(v) : null);
+const cents = (v) => Math.round(v * 100);
+
+function normalizeDeposit(d) {
+  if (money(d?.percent) !== null) return { percent: Math.min(100, money(d.percent)) };
+  if (money(d?.fixed) !== null) return { fixed: money(d.fixed) };
+  return null;
+}
+
+function normalize(raw) {
+  const deposit = normalizeDeposit(raw?.deposit);
+  const services = (raw?.services || []).map((s) => {
+    if (!s?.id || !s?.name) throw new Error('SERVICE_CATALOG: every service needs an id and a name');
+    if (money(s.perHour) === null && money(s.flat) === null) {
+      throw new Error(`SERVICE_CATALOG: service ${s.id} needs perHour or flat`);
+    }
+    return {
+      id: String(s.id),
+      name: String(s.name),
+      allDay: Boolean(s.allDay),
+      ...(money(s.perHour) !== null ? { perHour: money(s.perHour) } : { flat: money(s.flat) }),
+      ...(!s.allDay && Array.isArray(s.durations) && { durations: s.durations.map(Number).filter(h => parseDuration(h)) }),
+      deposit: s.deposit === undefined ? deposit : normalizeDeposit(s.deposit),
+      addOns: (s.addOns || []).map(a => ({
+        id: String(a.id),
+        name: String(a.name || a.id),
+        ...(money(a.perHour) !== null ? { perHour: money(a.perHour) } : { price: money(a.price) ?? 0 }),
+      })),
+      questions: (s.questions || []).map(q => ({
+        id: String(q.id),
+        label: String(q.label || q.id),
+        required: Boolean(q.required),
+        ...(Array.isArray(q.options) && { options: q.options.map(String) }),
+      })),
+    };
+  });
+  return {
+    currency: String(raw?.currency || 'usd').toLowerCase(),
+    deposit,
+    surcharges: {
+      weekend: raw?.surcharges?.weekend || null,
+      evening: raw?.surcharges?.evening || null,
+    },
+    services,
+  };
+}
+
+function loadCatalog() {
+  const json = process.env.SERVICE_CATALOG;
+  if (!json) return normalize(DEFAULT_CATALOG);
+  try {
+    return normalize(JSON.parse(json));
+  } catch (e) {
+    throw new Error(`Invalid SERVICE_CATALOG: ${e.message}`);
+  }
+}
+
+export const CATALOG = loadCatalog();
+
+export function getService(id) {
+  return CATALOG.services.find(s => s.id === id) || null;
+}
+
+/* Deposit (cents) on `amount` cents for a service — null when it's pay-in-full only */
+export function depositFor(service, amount) {
+  const dep = service?.deposit;
+  if (!dep) return null;
+  return Math.min(amount, dep.fixed !== undefined ? cents(dep.fixed) : Math.round(amount * dep.percent / 100));
+}
+
+/* Session hours from `fromHour` on (studio clock) */
+function hoursAfter(fromHour, startMinutes, minutes) {
+  const from = Math.max(startMinutes, fromHour * 60);
+  return Math.max(0, startMinutes + minutes - from) / 60;
+}
+
+/* Price { serviceId, date, start?, duration?, addOns? } from the catalog.
+   Returns { ok, service, day, start, duration, allDay, addOns, lines, amount, deposit, currency, summary }
+   (amounts in cents) or { ok: false, invalid } for a request the catalog doesn't offer. */
+export function quote({ serviceId, date, start, duration, addOns = [] } = {}) {
+  const service = getService(serviceId);
+  if (!service) return { ok: false, invalid: 'unknown service' };
+
+  const day = toDayKey(date);
+  if (!day) return { ok: false, invalid: 'invalid date' };
+
+  let minutes = (SLOT_SETTINGS.closeHour - SLOT_SETTINGS.openHour) * 60;
+  let startMinutes = SLOT_SETTINGS.openHour * 60;
+  if (service.allDay) {
+    if (start) return { ok: false, invalid: `${service.name} is booked by the day` };
+  } else {
+    const m = String(start || '').match(/^(\d{1,2}):(\d{2})$/);
+    if (!m) return { ok: false, invalid: 'invalid start (HH:mm)' };
+    startMinutes = Number(m[1]) * 60 + Number(m[2]);
+    minutes = parseDuration(duration);
+    if (!minutes) return { ok: false, invalid: 'invalid duration' };
+    if (service.durations?.length && !service.durations.includes(minutes / 60)) {
+      return { ok: false, invalid: `duration must be one of ${service.durations.join(', ')} hours` };
+    }
+  }
+  const hours = minutes / 60;
+
+  const ids = [...new Set((Array.isArray(addOns) ? addOns : String(addOns).split(',')).map(s => String(s).trim()).filter(Boolean))];
+  const chosen = [];
+  for (const id of ids) {
+    const addOn = service.addOns.find(a => a.id === id);
+    if (!addOn) return { ok: false, invalid: `unknown add-on: ${id}` };
+    chosen.push(addOn);
+  }
+
+  // Session price, then surcharges on it, then add-ons
+  const lines = [];
+  const base = service.flat ?? service.perHour * hours;
+  lines.push({
+    id: service.id,
+    label: service.flat !== undefined ? service.name : `${service.name} (${hours}h × ${service.perHour})`,
+    amount: cents(base),
+  });
+
+  const { weekend, evening } = CATALOG.surcharges;
+  const wd = weekdayOf(day);
+  if (weekend?.percent && (wd === 0 || wd === 6)) {
+    lines.push({ id: 'weekend', label: `Weekend (+${weekend.percent}%)`, amount: cents(base * weekend.percent / 100) });
+  }
+  if (evening?.perHour && !service.allDay) {
+    const late = hoursAfter(Number(evening.fromHour), startMinutes, minutes);
+    if (late > 0) {
+      lines.push({ id: 'evening', label: `Evening (${late}h after ${evening.fromHour}:00)`, amount: cents(late * evening.perHour) });
+    }
+  }
+  for (const a of chosen) {
+    lines.push({
+      id: `addon:${a.id}`,
+      label: a.perHour !== undefined ? `${a.name} (${hours}h × ${a.perHour})` : a.name,
+      amount: cents(a.perHour !== undefined ? a.perHour * hours : a.price),
+    });
+  }
+
+  const amount = lines.reduce((sum, l) => sum + l.amount, 0);
+
+  return {
+    ok: true,
+    service,
+    day,
+    start: service.allDay ? null : String(start),
+    duration: service.allDay ? null : hours,
+    allDay: service.allDay,
+    addOns: chosen.map(a => a.id),
+    lines,
+    amount,
+    // What checkout charges in deposit mode (null: pay in full only)
+    deposit: depositFor(service, amount),
+    currency: CATALOG.currency,
+    // Timed sessions say how long ("Recording Session (3h)"); on an all-day event the day rules read that
+    summary: service.allDay ? service.name : `${service.name} (${hours}h)`,
+  };
+}
+
+/* A quote as the API shows it */
+export function quoteView(q) {
+  return {
+    serviceId: q.service.id,
+    summary: q.summary,
+    date: q.day,
+    start: q.start,
+    duration: q.duration,
+    addOns: q.addOns,
+    lines: q.lines,
+    amount: q.amount,
+    deposit: q.deposit,
+    currency: q.currency,
+    ...(q.coupon && { coupon: q.coupon }),
+  };
+}
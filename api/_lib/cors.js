@@ -0,0 +1,86 @@
+// api/_lib/cors.js  — one CORS policy for every browser-facing route
+//
+// ALLOWED_ORIGIN is a comma-separated list; each entry is one of
+//   https://609music.com        that exact origin
+//   https://*.609music.com      any subdomain of it (not the bare domain — list that too)
+//   http://localhost:*          any port
+//   *                           anyone (local experiments only)
+// Under `vercel dev` (VERCEL_ENV=development) http://localhost and 127.0.0.1 on any port are
+// allowed as well, so a local site works without changes; elsewhere list them if you want them.
+//
+// An allowed Origin is echoed back (never `*`), every answer carries Vary: Origin, and a
+// state-changing request (POST/PUT/PATCH/DELETE) from any other origin gets 403 before the
+// route runs. Requests without an Origin (curl, scripts, Stripe) aren't CORS and pass through.
+// The Stripe webhook and the cron job don't use it — no browser ever calls them.
+
+const DEFAULT_ORIGIN = 'https://609music.com';
+const DEFAULT_HEADERS = ['Content-Type', 'Authorization'];
+const MAX_AGE_SECONDS = 86400;
+const STATE_CHANGING = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+const escapeRe = (s) => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+/* One ALLOWED_ORIGIN entry → RegExp over the whole Origin header */
+function toPattern(entry) {
+  if (entry === '*') return /^.+$/;
+  const m = /^(https?):\/\/([^/]+?)(?::(\d+|\*))?\/?$/i.exec(entry);
+  if (!m) throw new Error(`bad origin "${entry}"`);
+  const [, scheme, host, port] = m;
+  const hostRe = host.startsWith('*.')
+    ? `[a-z0-9-]+(?:\\.[a-z0-9-]+)*${escapeRe(host.slice(1))}`
+    : escapeRe(host);
+  const portRe = port === '*' ? '(?::\\d+)?' : port ? `:${port}` : '';
+  return new RegExp(`^${scheme}://${hostRe}${portRe}$`, 'i');
+}
+
+function loadOrigins() {
+  const list = (process.env.ALLOWED_ORIGIN || DEFAULT_ORIGIN).split(',').map(s => s.trim()).filter(Boolean);
+  if (process.env.VERCEL_ENV === 'development') list.push('http://localhost:*', 'http://127.0.0.1:*');
+  try {
+    return list.map(toPattern);
+  } catch (e) {
+    throw new Error(`Invalid ALLOWED_ORIGIN: ${e.message}`);
+  }
+}
+
+const ORIGINS = loadOrigins();
+
+/* Is a browser on `origin` allowed to call us? */
+export function originAllowed(origin, patterns = ORIGINS) {
+  return Boolean(origin) && patterns.some(re => re.test(origin));
+}
+
+/* What to do with a request → { headers, status? }: `status` means answer now (preflight / refused) */
+function decide(method, origin, { methods = ['GET'], headers = DEFAULT_HEADERS } = {}) {
+  const out = { Vary: 'Origin' };
+  if (!origin) return { headers: out };
+
+  if (!originAllowed(origin)) {
+    const refuse = method === 'OPTIONS' || STATE_CHANGING.has(method);
+    return { headers: out, ...(refuse && { status: 403 }) };
+  }
+
+  out['Access-Control-Allow-Origin'] = origin;
+  if (method !== 'OPTIONS') return { headers: out };
+  return {
+    status: 204,
+    headers: {
+      ...out,
+      'Access-Control-Allow-Methods': [...methods, 'OPTIONS'].join(','),
+      'Access-Control-Allow-Headers': headers.join(','),
+      'Access-Control-Max-Age': String(MAX_AGE_SECONDS),
+    },
+  };
+}
+
+const REFUSED = { error: 'origin not allowed' };
+
+/* `if (cors(req, res, { methods: ['POST'] })) return;` — true when it already answered */
+export function cors(req, res, opts) {
+  const { status, headers } = decide(req.method, req.headers?.origin, opts);
+  for (const [k, v] of Object.entries(headers)) res.setHeader(k, v);
+  if (!status) return false;
+  if (status === 204) res.status(204).end();
+  else res.status(status).json(REFUSED);
+  return true;
+}
@@ -0,0 +1,119 @@
+// api/_lib/coupons.js  — the studio's own discount codes (Stripe promotion codes stay off)
+//
+// COUPONS (JSON array):
+//   { code, percent | amount, expires?: 'YYYY-MM-DD', starts?: 'YYYY-MM-DD',
+//     services?: [serviceId], weekdays?: [0-6 | 'sat', …], maxUses? }
+// `amount` is in whole currency units like the catalog; `expires` is the last valid studio day;
+// `weekdays` restricts the session day (0 = Sunday). Uses are counted in KV per code: checkout
+// takes one before it opens a Stripe session (reserveCoupon), so `maxUses` holds even with
+// several checkouts open at once, and an expired session gives it back (releaseCoupon).
+// Every booking goes through Stripe, so a code can't take the total under MIN_CHARGE.
+import { depositFor } from './catalog.js';
+import { dayKeyOf, weekdayOf, parseWeekday } from './time.js';
+import { getKV } from './kv.js';
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+function loadCoupons() {
+  const json = process.env.COUPONS;
+  if (!json) return [];
+  let list;
+  try {
+    list = JSON.parse(json);
+  } catch (e) {
+    throw new Error(`Invalid COUPONS: ${e.message}`);
+  }
+  return (Array.isArray(list) ? list : []).map((c) => {
+    const percent = Number(c.percent);
+    const amount = Number(c.amount);
+    if (!c.code || !(percent > 0 || amount > 0)) {
+      throw new Error('Invalid COUPONS: every coupon needs a code and a percent or amount');
+    }
+    return {
+      code: normalizeCode(c.code),
+      ...(percent > 0 ? { percent: Math.min(100, percent) } : { amount }),
+      starts: c.starts || null,
+      expires: c.expires || null,
+      services: Array.isArray(c.services) ? c.services.map(String) : null,
+      weekdays: Array.isArray(c.weekdays) ? c.weekdays.map(parseWeekday).filter(n => n !== null) : null,
+      maxUses: Number(c.maxUses) > 0 ? Number(c.maxUses) : null,
+    };
+  });
+}
+
+export const COUPONS = loadCoupons();
+
+// Smallest total checkout will charge (cents)
+export const MIN_CHARGE = 100;
+
+const usesKey = (code) => `coupon:uses:${code}`;
+
+export async function couponUses(code) {
+  return Number(await getKV().get(usesKey(normalizeCode(code)))) || 0;
+}
+
+/* Apply `code` to a catalog quote. Returns the quote with a discount line, the lower amount and
+   deposit, and `coupon: { code, discount }` — or { ok: false, invalid } saying why it can't. */
+export async function applyCoupon(q, code, { now = new Date() } = {}) {
+  const c = COUPONS.find(x => x.code === normalizeCode(code));
+  if (!c) return { ok: false, invalid: 'unknown code' };
+
+  const today = dayKeyOf(now);
+  if (c.starts && today < c.starts) return { ok: false, invalid: 'code not active yet' };
+  if (c.expires && today > c.expires) return { ok: false, invalid: 'code expired' };
+  if (c.services && !c.services.includes(q.service.id)) return { ok: false, invalid: `code not valid for ${q.service.name}` };
+  if (c.weekdays && !c.weekdays.includes(weekdayOf(q.day))) return { ok: false, invalid: 'code not valid on that day' };
+  if (c.maxUses && await couponUses(c.code) >= c.maxUses) return { ok: false, invalid: 'code fully redeemed' };
+
+  const discount = Math.min(q.amount, c.percent
+    ? Math.floor(q.amount * c.percent / 100)
+    : Math.round(c.amount * 100));
+  const amount = q.amount - discount;
+  if (amount < MIN_CHARGE) return { ok: false, invalid: 'code brings the total below the minimum charge' };
+
+  return {
+    ...q,
+    lines: [...q.lines, {
+      id: `coupon:${c.code}`,
+      label: c.percent ? `Code ${c.code} (−${c.percent}%)` : `Code ${c.code}`,
+      amount: -discount,
+    }],
+    amount,
+    deposit: depositFor(q.service, amount),
+    coupon: { code: c.code, discount },
+  };
+}
+
+const sessionKey = (sessionId) => `coupon:session:${sessionId}`;
+const SESSION_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+/* Take one use of `code` for a checkout about to open → false when none are left */
+export async function reserveCoupon(code) {
+  const c = COUPONS.find(x => x.code === normalizeCode(code));
+  const kv = getKV();
+  const used = await kv.incr(usesKey(normalizeCode(code)));
+  if (c?.maxUses && used > c.maxUses) {
+    await kv.decr(usesKey(normalizeCode(code)));
+    return false;
+  }
+  return true;
+}
+
+/* Give a reserved use back: its session expired unpaid (once per session), or never opened (no sessionId) */
+export async function releaseCoupon(code, sessionId) {
+  const kv = getKV();
+  if (sessionId && !(await kv.set(sessionKey(sessionId), 'released', { nx: true, ttlSeconds: SESSION_TTL_SECONDS }))) {
+    return false;
+  }
+  await kv.decr(usesKey(normalizeCode(code)));
+  return true;
+}
+
+/* Count one use of `code` for a paid Checkout Session (only once per session).
+   `reserved`: checkout counted it already — the use just stays taken. */
+export async function redeemCoupon(code, sessionId, { reserved = false } = {}) {
+  const kv = getKV();
+  const first = await kv.set(sessionKey(sessionId), normalizeCode(code), { nx: true, ttlSeconds: SESSION_TTL_SECONDS });
+  if (!first) return null;
+  return reserved ? couponUses(code) : kv.incr(usesKey(normalizeCode(code)));
+}
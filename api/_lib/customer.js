@@ -0,0 +1,64 @@
+// api/_lib/customer.js  — who is booking: contact details + the service's intake answers
+//
+// customer: { name, email?, phone?, artist? }      answers: { [questionId]: string }
+// Everything ends up in Stripe metadata (≤ 500 chars a value) and on the calendar event.
+
+// The other side of every booking: ORGANIZER on events and invites (left off without an address)
+export const STUDIO = { name: process.env.STUDIO_NAME || '609 Music', email: process.env.STUDIO_EMAIL || '' };
+
+const MAX = { name: 100, email: 254, phone: 30, artist: 100, answer: 300 };
+const METADATA_LIMIT = 500;
+
+const EMAIL_RE = /^[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[^\s@<>(),;:"]+$/;
+const PHONE_RE = /^\+?[\d\s().-]{7,30}$/;
+
+const clean = (v) => String(v ?? '').replace(/[\r\n\t]+/g, ' ').trim();
+
+/* Validate contact details and intake answers for `service` (catalog service, may be null).
+   `required`: the name and required questions must be there (checkout); otherwise only
+   what is given is checked (book, filled from Stripe).
+   Returns { ok, customer, answers } or { ok: false, invalid }. */
+export function validateCustomer(input = {}, answersIn = {}, { service = null, required = false } = {}) {
+  const customer = {};
+  for (const field of ['name', 'email', 'phone', 'artist']) {
+    const value = clean(input?.[field]);
+    if (!value) continue;
+    if (value.length > MAX[field]) return { ok: false, invalid: `${field} too long` };
+    customer[field] = value;
+  }
+
+  if (required && !customer.name) return { ok: false, invalid: 'name required' };
+  if (customer.email) {
+    if (!EMAIL_RE.test(customer.email)) return { ok: false, invalid: 'invalid email' };
+    customer.email = customer.email.toLowerCase();
+  }
+  if (customer.phone && !PHONE_RE.test(customer.phone)) return { ok: false, invalid: 'invalid phone' };
+
+  // Only the service's own questions are kept, in its order
+  const answers = {};
+  for (const q of service?.questions || []) {
+    const value = clean(answersIn?.[q.id]);
+    if (!value) {
+      if (required && q.required) return { ok: false, invalid: `answer required: ${q.label}` };
+      continue;
+    }
+    if (value.length > MAX.answer) return { ok: false, invalid: `answer too long: ${q.label}` };
+    if (q.options && !q.options.includes(value)) return { ok: false, invalid: `invalid answer: ${q.label}` };
+    answers[q.id] = value;
+  }
+  if (JSON.stringify(answers).length > METADATA_LIMIT) return { ok: false, invalid: 'answers too long' };
+
+  return { ok: true, customer, answers };
+}
+
+/* Plain-text block for the event DESCRIPTION (what the studio reads in its calendar app) */
+export function describeCustomer(customer = {}, answers = {}, service = null) {
+  const label = (id) => service?.questions?.find(q => q.id === id)?.label || id;
+  return [
+    customer.name && `Name: ${customer.name}`,
+    customer.artist && `Artist / project: ${customer.artist}`,
+    customer.email && `Email: ${customer.email}`,
+    customer.phone && `Phone: ${customer.phone}`,
+    ...Object.entries(answers).map(([id, a]) => `${label(id)}: ${a}`),
+  ].filter(Boolean).join('\n');
+}
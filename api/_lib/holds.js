@@ -0,0 +1,60 @@
+// api/_lib/holds.js  — short-lived reservations between checkout and payment
+//
+// A hold is a STATUS:TENTATIVE event in the Bookings calendar with X-HOLD-EXPIRES.
+// Until it expires the rules count it like a booking; createBooking replaces it with the
+// real booking and the webhook deletes it when the Stripe session expires.
+import { buildICS, describeEvent } from './ics.js';
+import { openCalendars, createBookingObject, getBookingObject, newBookingUid } from './calendar.js';
+import { checkBooking } from './rules.js';
+
+// Stripe Checkout sessions must live 30 min – 24 h, counted from when Stripe gets the request:
+// stay a minute inside both ends so the time spent getting there doesn't push us out
+export const HOLD_MINUTES = Math.min(24 * 60 - 1, Math.max(31, Number(process.env.HOLD_MINUTES) || 31));
+
+// Extra time the hold outlives its Stripe session, so a last-second payment still finds it
+const GRACE_MS = 5 * 60 * 1000;
+
+/* Place a hold for an OK `checkBooking` result of `request` ({ date, start?, duration?, serviceId?, resource? })
+   on the resource the check picked. Returns { ok: true, uid, expiresAt, resource } or { ok: false, reason, status }. */
+export async function placeHold(check, request, { summary = '609 Booking', now = new Date() } = {}) {
+  const uid = newBookingUid();
+  const expiresAt = new Date(now.getTime() + HOLD_MINUTES * 60 * 1000 + GRACE_MS);
+
+  const ics = buildICS({
+    uid,
+    date: check.day,
+    start: check.session?.start,
+    end: check.session?.end,
+    summary: `Hold: ${summary}`,
+    status: 'TENTATIVE',
+    // The service decides how much of the day the hold takes (see rules.js)
+    properties: {
+      'X-HOLD-EXPIRES': expiresAt.toISOString(),
+      'X-SERVICE-ID': request.serviceId,
+      'X-RESOURCE-ID': check.resource,
+    },
+  });
+  await createBookingObject(check.cals, { uid, ics, resource: check.resource });
+
+  // Someone may have taken the last slot while we were writing: check again without
+  // our own hold. Two racing checkouts can both back off, but never both win.
+  const again = await checkBooking({ ...request, resource: check.resource }, { cals: check.cals, ignoreUid: uid });
+  if (!again.ok) {
+    await releaseHold(uid, { cals: check.cals });
+    return { ok: false, reason: again.reason, status: again.status };
+  }
+  return { ok: true, uid, expiresAt, resource: check.resource };
+}
+
+/* Delete a hold (only while it is still a hold — a confirmed booking is left alone) */
+export async function releaseHold(uid, { cals } = {}) {
+  cals = cals || await openCalendars();
+  const obj = await getBookingObject(cals, uid);
+  if (!obj) return false;
+
+  const ev = describeEvent(obj.data);
+  if (!ev?.props['X-HOLD-EXPIRES']) return false;
+
+  await cals.backend.deleteObject({ url: obj.url, etag: obj.etag });
+  return true;
+}
@@ -0,0 +1,356 @@
+// api/_lib/ics.js  — ICS parsing / building shared by availability + book
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import ICAL from 'ical.js'; // default export (a namespace import has no .parse)
+import {
+  STUDIO_TZ, isValidTimeZone, zonedTime, toDayKey, addDays, formatICSLocal, buildVTimezone,
+} from './time.js';
+dayjs.extend(utc);
+
+// Safety caps when walking an RRULE: occurrences kept for one range, and steps taken in all.
+// A daily rule from years back walks up to the range cheaply; only a runaway one hits the cap.
+const MAX_OCCURRENCES = 5000;
+const MAX_STEPS = 500000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/* -------------- ICS extraction -------------- */
+export function getICSFromObj(obj) {
+  // tsdav variants / server variants
+  return obj?.data || obj?.calendarData || obj?.iCalString || '';
+}
+
+/* ICAL.Time → Date. Wall times are read in their TZID; floating times and
+   all-day dates are on the studio clock (not the runtime's UTC). */
+function toDate(t) {
+  if (!t) return null;
+  const p2 = (n) => String(n).padStart(2, '0');
+  const day = `${t.year}-${p2(t.month)}-${p2(t.day)}`;
+  if (t.isDate) return zonedTime(day);
+
+  const wall = `${day}T${p2(t.hour)}:${p2(t.minute)}:${p2(t.second)}`;
+  if (t.zone === ICAL.Timezone.utcTimezone || t.zone?.tzid === 'UTC') return t.toJSDate();
+
+  const tzid = t.timezone || (t.zone && t.zone.tzid !== 'floating' ? t.zone.tzid : null);
+  if (tzid && isValidTimeZone(tzid)) return zonedTime(wall, tzid);
+  if (t.zone?.component) return t.toJSDate(); // non-IANA TZID defined by an embedded VTIMEZONE
+  return zonedTime(wall);
+}
+
+/* One event, or every occurrence inside `range` for RRULE/RDATE masters */
+function occurrences(ev, range) {
+  const uid = String(ev.uid || '');
+  const toEvent = (item, startDate, endDate) => {
+    const s = toDate(startDate);
+    const e = toDate(endDate);
+    if (!s || !e) return null;
+    const holdExpires = item.component?.getFirstPropertyValue('x-hold-expires');
+    return {
+      uid, start: s, end: e,
+      summary: String(item.summary || ''),
+      allDay: Boolean(startDate.isDate),
+      status: String(item.component?.getFirstPropertyValue('status') || '').toUpperCase(),
+      holdExpires: holdExpires ? new Date(String(holdExpires)) : null,
+      serviceId: String(item.component?.getFirstPropertyValue('x-service-id') || '') || null,
+      transparent: String(item.component?.getFirstPropertyValue('transp') || '').toUpperCase() === 'TRANSPARENT',
+    };
+  };
+
+  if (!ev.isRecurring() || !range) {
+    const one = toEvent(ev, ev.startDate, ev.endDate);
+    return one ? [one] : [];
+  }
+
+  const inRange = (o) => o && o.start < range.end && o.end > range.start;
+  const out = [];
+
+  // Occurrences ending well before the range are skipped on their rough UTC time (a zone is
+  // at most a day off) unless an override may have moved them
+  const lengthMs = (ev.duration?.toSeconds() || 0) * 1000;
+  const skipBefore = range.start.getTime() - lengthMs - DAY_MS;
+
+  // The iterator applies RRULE + RDATE − EXDATE; getOccurrenceDetails swaps in RECURRENCE-ID overrides
+  const it = ev.iterator();
+  for (let next, steps = 0; (next = it.next()); steps++) {
+    if (steps >= MAX_STEPS || out.length >= MAX_OCCURRENCES) {
+      console.warn(`[ics] stopped expanding ${uid} after ${steps} occurrences`);
+      break;
+    }
+    if (next.toJSDate().getTime() < skipBefore && !ev.exceptions?.[next.toString()]) continue;
+    if (toDate(next) >= range.end) break;
+    const d = ev.getOccurrenceDetails(next);
+    const o = toEvent(d.item, d.startDate, d.endDate);
+    if (inRange(o)) out.push(o);
+  }
+
+  // Overrides whose original slot is after the range but were moved into it
+  for (const exc of Object.values(ev.exceptions || {})) {
+    if (toDate(exc.recurrenceId) < range.end) continue;
+    const o = toEvent(exc, exc.startDate, exc.endDate);
+    if (inRange(o)) out.push(o);
+  }
+  return out;
+}
+
+/* Primary parse via ical.js */
+function extractEvents_icaljs(ics, range) {
+  try {
+    const jcal = ICAL.parse(ics);
+    const comp = new ICAL.Component(jcal);
+    const vevents = comp.getAllSubcomponents('vevent');
+
+    // Make embedded VTIMEZONEs resolvable (needed for non-IANA TZIDs, e.g. Outlook names)
+    for (const vtz of comp.getAllSubcomponents('vtimezone')) ICAL.TimezoneService.register(vtz);
+
+    // Masters first, then attach RECURRENCE-ID overrides to the master with the same UID
+    const masters = new Map();
+    const orphans = [];
+    for (const v of vevents) {
+      if (v.hasProperty('recurrence-id')) continue;
+      const ev = new ICAL.Event(v);
+      masters.set(ev.uid || `#${masters.size}`, ev);
+    }
+    for (const v of vevents) {
+      if (!v.hasProperty('recurrence-id')) continue;
+      const master = masters.get(v.getFirstPropertyValue('uid'));
+      if (master) master.relateException(v);
+      else orphans.push(new ICAL.Event(v)); // override without its master in this object
+    }
+
+    return [...masters.values(), ...orphans].flatMap(ev => occurrences(ev, range));
+  } catch {
+    return null; // signal failure so we try regex fallback
+  }
+}
+
+/* DTSTART/DTEND line → { date, allDay }, honouring VALUE=DATE, Z and TZID=… */
+function parseDateProp(block, name) {
+  const m = block.match(new RegExp(`^${name}((?:;[^:\\r\\n]*)?):(\\d{8})(?:T(\\d{6})(Z?))?`, 'm'));
+  if (!m) return null;
+  const [, params, ymd, hms, z] = m;
+
+  const day = `${ymd.slice(0,4)}-${ymd.slice(4,6)}-${ymd.slice(6,8)}`;
+  if (!hms) return { date: zonedTime(day), allDay: true }; // all-day: studio midnight
+
+  const wall = `${day}T${hms.slice(0,2)}:${hms.slice(2,4)}:${hms.slice(4,6)}`;
+  if (z) return { date: new Date(`${wall}Z`), allDay: false };
+
+  const tzid = (params.match(/;TZID=("?)([^;:"]+)\1/) || [])[2];
+  return { date: zonedTime(wall, tzid && isValidTimeZone(tzid) ? tzid : STUDIO_TZ), allDay: false };
+}
+
+/* Fallback parse using regex (robust for VALUE=DATE all-day entries) */
+function extractEvents_regex(ics) {
+  const blocks = String(ics).split(/BEGIN:VEVENT/).slice(1).map(b => 'BEGIN:VEVENT' + b.split('END:VEVENT')[0] + 'END:VEVENT');
+  const evs = [];
+  for (const b of blocks) {
+    const start = parseDateProp(b, 'DTSTART');
+    if (!start) continue;
+
+    let end = parseDateProp(b, 'DTEND')?.date;
+    if (!end) {
+      // No DTEND: all-day covers its day, a date-time is an instant (RFC 5545)
+      end = start.allDay ? zonedTime(addDays(toDayKey(start.date), 1)) : start.date;
+    }
+
+    const sum = (b.match(/SUMMARY:(.*)/) || [,''])[1].trim();
+    const uid = (b.match(/UID:(.*)/) || [,''])[1].trim();
+    const status = (b.match(/^STATUS:(.*)/m) || [,''])[1].trim().toUpperCase();
+    const hold = (b.match(/^X-HOLD-EXPIRES:(.*)/m) || [,''])[1].trim();
+    const serviceId = (b.match(/^X-SERVICE-ID:(.*)/m) || [,''])[1].trim();
+    const transp = (b.match(/^TRANSP:(.*)/m) || [,''])[1].trim().toUpperCase();
+    evs.push({
+      uid, start: start.date, end, summary: sum, allDay: start.allDay,
+      status, holdExpires: hold ? new Date(hold) : null, serviceId: serviceId || null,
+      transparent: transp === 'TRANSPARENT',
+    });
+  }
+  return evs;
+}
+
+/* ical.js first, regex fallback (no RRULE support).
+   With `range` ({ start, end } Dates) recurring events are expanded to their occurrences in it. */
+export function extractEvents(ics, range) {
+  return extractEvents_icaljs(ics, range) || extractEvents_regex(ics);
+}
+
+/* Do the object's occurrences depend on the range asked for (RRULE / RDATE, or overrides)? */
+export function isRecurringICS(ics) {
+  return /^(RRULE|RDATE|RECURRENCE-ID)[;:]/mi.test(String(ics || ''));
+}
+
+/* All events (occurrences) from a list of calendar objects.
+   Every event gets a `uid` so occurrences can be traced back to their object.
+   Objects from the calendar mirror arrive already parsed for `range` (obj.events). */
+export function eventsFromObjects(objects, range) {
+  const events = [];
+  (objects || []).forEach((obj, i) => {
+    const ics = getICSFromObj(obj);
+    if (!ics) return;
+    for (const ev of obj.events || extractEvents(ics, range)) {
+      events.push({ ...ev, uid: ev.uid || obj?.url || `#${i}` });
+    }
+  });
+  return events;
+}
+
+// ical.js leaves X- property values as written (and splits them at commas)
+function unescapeText(value) {
+  return String(value).replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+/* First (master) VEVENT of an object: what a booking looks like to the API.
+   `props` holds every X- property, keyed in upper case (X-STRIPE-PAYMENT-INTENT, …). */
+export function describeEvent(ics) {
+  try {
+    const comp = new ICAL.Component(ICAL.parse(ics));
+    for (const vtz of comp.getAllSubcomponents('vtimezone')) ICAL.TimezoneService.register(vtz);
+    const v = comp.getAllSubcomponents('vevent').find(c => !c.hasProperty('recurrence-id'));
+    if (!v) return null;
+
+    const ev = new ICAL.Event(v);
+    const props = {};
+    for (const p of v.getAllProperties()) {
+      if (p.name.startsWith('x-')) props[p.name.toUpperCase()] = unescapeText(p.getValues().join(','));
+    }
+
+    return {
+      uid: String(ev.uid || ''),
+      summary: String(ev.summary || ''),
+      description: String(ev.description || ''),
+      status: String(v.getFirstPropertyValue('status') || ''),
+      start: toDate(ev.startDate),
+      end: toDate(ev.endDate),
+      allDay: Boolean(ev.startDate?.isDate),
+      recurring: ev.isRecurring(),
+      rrule: v.getFirstPropertyValue('rrule')?.toString() || null,
+      props,
+    };
+  } catch {
+    return null;
+  }
+}
+
+/* -------------- ICS building -------------- */
+
+// RFC 5545 TEXT escaping
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// DTSTART/DTEND lines: timed (`start`/`end` instants, studio TZID) or all-day from `date`
+// through `endDate` (inclusive; defaults to the one day)
+function whenLines({ date, endDate, start, end }) {
+  if (start && end) {
+    return [
+      `DTSTART;TZID=${STUDIO_TZ}:${formatICSLocal(start)}`,
+      `DTEND;TZID=${STUDIO_TZ}:${formatICSLocal(end)}`,
+    ];
+  }
+  const day = toDayKey(date);
+  const last = toDayKey(endDate || day);
+  return [
+    `DTSTART;VALUE=DATE:${day.replace(/-/g, '')}`,               // all-day start
+    `DTEND;VALUE=DATE:${addDays(last, 1).replace(/-/g, '')}`,    // all-day end (exclusive)
+  ];
+}
+
+// ATTENDEE / ORGANIZER line for { name, email } (nothing without an email)
+function addressLine(prop, { name, email } = {}, params = '') {
+  if (!email) return '';
+  const cn = name ? `;CN="${String(name).replace(/["\r\n]/g, '')}"` : '';
+  return `${prop}${cn}${params}:mailto:${email}`;
+}
+
+// Build a single-event ICS. With `start`/`end` (instants) it is a timed event
+// written in the studio timezone (TZID + VTIMEZONE); otherwise an all-day event
+// on `date` (studio day key 'YYYY-MM-DD'). `status` sets STATUS (e.g. TENTATIVE
+// for a hold), `organizer` / `attendee` ({ name, email }) say who it is between,
+// `properties` adds X- properties. `method` / `sequence` are for emailed invites.
+// All-day events may span to `endDate` and repeat by `rrule` ("FREQ=WEEKLY;BYDAY=MO").
+export function buildICS({
+  uid, date, endDate, start, end, summary, note, status, organizer, attendee, method, sequence, rrule,
+  properties = {},
+}) {
+  // DTSTAMP must be in UTC per spec
+  const stamp = dayjs().utc().format('YYYYMMDDTHHmmss[Z]');
+
+  const timed = Boolean(start && end);
+
+  const desc = note
+    ? `DESCRIPTION:${escapeText(note)}`
+    : '';
+
+  const extra = Object.entries(properties)
+    .filter(([, v]) => v !== undefined && v !== null && v !== '')
+    .map(([k, v]) => `${k.toUpperCase()}:${escapeText(v)}`);
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//609 Productions//Booking//EN',
+    method ? `METHOD:${method}` : '',
+    ...(timed ? buildVTimezone(STUDIO_TZ, dayjs(start).year()) : []),
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${stamp}`,
+    sequence !== undefined ? `SEQUENCE:${sequence}` : '',
+    ...whenLines({ date, endDate, start, end }),
+    rrule ? `RRULE:${rrule}` : '',
+    `SUMMARY:${escapeText(summary)}`,
+    status ? `STATUS:${status}` : '',
+    desc,
+    addressLine('ORGANIZER', organizer),
+    addressLine('ATTENDEE', attendee, ';ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED'),
+    ...extra,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].filter(Boolean).join('\r\n');
+}
+
+// Move an existing event to a new day / time, keeping everything else on it
+// (summary, notes, alarms, X- properties). Bumps SEQUENCE so clients notice.
+export function rescheduleICS(ics, { date, start, end }) {
+  const comp = ICAL.Component.fromString(ics);
+  const v = comp.getAllSubcomponents('vevent').find(c => !c.hasProperty('recurrence-id'));
+  if (!v) throw new Error('No VEVENT to reschedule');
+
+  for (const name of ['dtstart', 'dtend', 'duration']) v.removeAllProperties(name);
+  for (const line of whenLines({ date, start, end })) v.addProperty(ICAL.Property.fromString(line));
+
+  const hasZone = comp.getAllSubcomponents('vtimezone')
+    .some(tz => tz.getFirstPropertyValue('tzid') === STUDIO_TZ);
+  if (start && end && !hasZone) {
+    comp.addSubcomponent(ICAL.Component.fromString(buildVTimezone(STUDIO_TZ, dayjs(start).year()).join('\r\n')));
+  }
+
+  v.updatePropertyWithValue('sequence', Number(v.getFirstPropertyValue('sequence') || 0) + 1);
+  v.updatePropertyWithValue('dtstamp', ICAL.Time.fromJSDate(new Date(), true));
+  return comp.toString();
+}
+
+// Change the master event's summary / STATUS and set (or, with null, remove) X- properties —
+// payment updates and the like. Everything else on the event stays as it is.
+export function updateEventICS(ics, { summary, status, properties = {} } = {}) {
+  const comp = ICAL.Component.fromString(ics);
+  const v = comp.getAllSubcomponents('vevent').find(c => !c.hasProperty('recurrence-id'));
+  if (!v) throw new Error('No VEVENT to update');
+
+  if (summary !== undefined) v.updatePropertyWithValue('summary', String(summary));
+  if (status !== undefined) {
+    v.removeAllProperties('status');
+    if (status) v.addPropertyWithValue('status', String(status).toUpperCase());
+  }
+
+  for (const [name, value] of Object.entries(properties)) {
+    v.removeAllProperties(name.toLowerCase());
+    if (value === undefined || value === null || value === '') continue;
+    v.addProperty(ICAL.Property.fromString(`${name.toUpperCase()}:${escapeText(value)}`));
+  }
+
+  v.updatePropertyWithValue('dtstamp', ICAL.Time.fromJSDate(new Date(), true));
+  return comp.toString();
+}
@@ -0,0 +1,48 @@
+// api/_lib/internal.js  — signed requests between our own functions and scripts
+//
+//   X-Internal-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(INTERNAL_API_SECRET, `${t}.${rawBody}`)>
+//
+// Same scheme as Stripe's webhook signature: the body can't be changed, and a signature is
+// only good for TOLERANCE_SECONDS (routes also refuse to see the same one twice).
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+const { INTERNAL_API_SECRET } = process.env;
+
+export const INTERNAL_SIGNATURE_HEADER = 'x-internal-signature';
+const TOLERANCE_SECONDS = 5 * 60;
+
+const hmac = (secret, t, raw) => createHmac('sha256', secret).update(`${t}.${raw}`).digest('hex');
+
+/* Header value for `raw` (the exact body that will be sent) */
+export function signInternal(raw, { secret = INTERNAL_API_SECRET, now = Date.now() } = {}) {
+  if (!secret) throw new Error('INTERNAL_API_SECRET not configured');
+  const t = Math.floor(now / 1000);
+  return `t=${t},v1=${hmac(secret, t, raw)}`;
+}
+
+/* { t, v1 } when `header` signs `raw` and is fresh, else null */
+export function verifyInternal(raw, header, { secret = INTERNAL_API_SECRET, now = Date.now() } = {}) {
+  if (!secret || !header) return null;
+  const parts = Object.fromEntries(String(header).split(',').map(kv => kv.trim().split('=')));
+  const t = Number(parts.t);
+  if (!Number.isInteger(t) || !parts.v1) return null;
+  if (Math.abs(now / 1000 - t) > TOLERANCE_SECONDS) return null;
+
+  const expected = Buffer.from(hmac(secret, t, raw));
+  const given = Buffer.from(String(parts.v1));
+  return expected.length === given.length && timingSafeEqual(expected, given) ? { t, v1: parts.v1 } : null;
+}
+
+/* How long a used signature has to be remembered (it is refused after that anyway) */
+export const INTERNAL_REPLAY_TTL_SECONDS = 2 * TOLERANCE_SECONDS;
+
+// Raw request bytes — signatures are over the body exactly as it was sent.
+// A string / Buffer body (a platform that read the stream but kept the bytes) counts as raw.
+export async function readRawBody(req) {
+  if (typeof req?.body === 'string') return req.body;
+  if (Buffer.isBuffer(req?.body)) return req.body.toString('utf8');
+  if (!req?.[Symbol.asyncIterator]) return '';
+  const chunks = [];
+  for await (const chunk of req) chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
@@ -0,0 +1,98 @@
+// api/_lib/kv.js  — small key/value store shared by serverless instances
+//
+//   KV_REST_API_URL + KV_REST_API_TOKEN   Redis-compatible REST endpoint (Upstash, Vercel KV)
+//   otherwise                             in-process memory (dev, tests, single instance)
+//
+// Values are JSON. `set` supports a TTL and NX (only if absent → returns false when taken);
+// `incr` is an atomic counter (returns the new value); its `ttlSeconds` starts with the first
+// increment, so a counter is a fixed window. `decr` takes one back.
+
+function memoryKV() {
+  const items = new Map(); // key → { value, expires }
+  const live = (key) => {
+    const it = items.get(key);
+    if (it && it.expires && it.expires <= Date.now()) items.delete(key);
+    return items.get(key);
+  };
+
+  return {
+    name: 'memory',
+    async get(key) {
+      return live(key)?.value ?? null;
+    },
+    async set(key, value, { ttlSeconds, nx = false } = {}) {
+      if (nx && live(key)) return false;
+      items.set(key, { value, expires: ttlSeconds ? Date.now() + ttlSeconds * 1000 : 0 });
+      return true;
+    },
+    async incr(key, { ttlSeconds } = {}) {
+      const it = live(key);
+      const next = (Number(it?.value) || 0) + 1;
+      const expires = it ? it.expires : ttlSeconds ? Date.now() + ttlSeconds * 1000 : 0;
+      items.set(key, { value: next, expires });
+      return next;
+    },
+    async decr(key) {
+      const it = live(key);
+      const next = (Number(it?.value) || 0) - 1;
+      items.set(key, { value: next, expires: it ? it.expires : 0 });
+      return next;
+    },
+    async del(key) {
+      items.delete(key);
+    },
+  };
+}
+
+function restKV(url, token) {
+  async function command(...args) {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args),
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok || json.error) throw new Error(`KV ${args[0]} failed: ${json.error || res.status}`);
+    return json.result;
+  }
+
+  return {
+    name: 'rest',
+    async get(key) {
+      const raw = await command('GET', key);
+      return raw === null || raw === undefined ? null : JSON.parse(raw);
+    },
+    async set(key, value, { ttlSeconds, nx = false } = {}) {
+      const args = ['SET', key, JSON.stringify(value)];
+      if (ttlSeconds) args.push('EX', Math.ceil(ttlSeconds));
+      if (nx) args.push('NX');
+      return (await command(...args)) === 'OK';
+    },
+    async incr(key, { ttlSeconds } = {}) {
+      // Create the counter with its TTL first, so it never exists without one (INCR keeps it)
+      if (ttlSeconds) await command('SET', key, '0', 'EX', Math.ceil(ttlSeconds), 'NX');
+      return Number(await command('INCR', key));
+    },
+    async decr(key) {
+      return Number(await command('DECR', key));
+    },
+    async del(key) {
+      await command('DEL', key);
+    },
+  };
+}
+
+let current = null;
+
+export function getKV() {
+  const { KV_REST_API_URL, KV_REST_API_TOKEN } = process.env;
+  current = current || (KV_REST_API_URL && KV_REST_API_TOKEN
+    ? restKV(KV_REST_API_URL, KV_REST_API_TOKEN)
+    : memoryKV());
+  return current;
+}
+
+/* Swap the store (tests / scripts) — pass null to go back to env selection */
+export function setKV(kv) {
+  current = kv;
+}
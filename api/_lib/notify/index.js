@@ -0,0 +1,106 @@
+// api/_lib/notify/index.js  — email the customer (and the studio) about their booking
+//
+//   NOTIFY_TRANSPORT=smtp     SMTP_HOST, SMTP_PORT (587), SMTP_USER, SMTP_PASSWORD, SMTP_SECURE
+//   NOTIFY_TRANSPORT=file     NOTIFY_DIR — each message and its .ics written to a directory
+//   NOTIFY_TRANSPORT=console  logged (the default without SMTP_HOST)
+//   NOTIFY_TRANSPORT=none     nothing is sent
+//
+// NOTIFY_FROM is the sender (default STUDIO_EMAIL); STUDIO_EMAIL also gets a copy of every
+// message except reminders. Every message carries the booking as an .ics invite.
+import { buildICS } from '../ics.js';
+import { STUDIO } from '../customer.js';
+import { linksConfigured, signBookingToken, manageUrl } from '../tokens.js';
+import { render } from './templates.js';
+import { createSMTPTransport } from './smtp.js';
+import { createFileTransport, createConsoleTransport } from './local.js';
+
+let current = null;
+
+export function createTransport(env = process.env) {
+  const from = env.NOTIFY_FROM || (STUDIO.email ? `${STUDIO.name} <${STUDIO.email}>` : undefined);
+  const kind = String(env.NOTIFY_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'console')).toLowerCase();
+
+  if (kind === 'smtp') {
+    if (!env.SMTP_HOST) throw new Error('NOTIFY_TRANSPORT=smtp needs SMTP_HOST');
+    return createSMTPTransport({
+      host: env.SMTP_HOST,
+      port: env.SMTP_PORT || 587,
+      secure: env.SMTP_SECURE,
+      user: env.SMTP_USER,
+      password: env.SMTP_PASSWORD,
+      from,
+    });
+  }
+  if (kind === 'file') {
+    if (!env.NOTIFY_DIR) throw new Error('NOTIFY_TRANSPORT=file needs NOTIFY_DIR');
+    return createFileTransport({ dir: env.NOTIFY_DIR, from });
+  }
+  if (kind === 'console') return createConsoleTransport({ from });
+  if (kind === 'none') return { name: 'none', async send() { return { id: null }; } };
+  throw new Error(`Unknown NOTIFY_TRANSPORT: ${kind}`);
+}
+
+export function getTransport() {
+  current = current || createTransport();
+  return current;
+}
+
+/* Swap the transport (tests / scripts) — pass null to go back to env selection */
+export function setTransport(transport) {
+  current = transport;
+}
+
+/* The booking as an emailed invite: REQUEST (add / update) or CANCEL (remove).
+   Calendar apps only act on those with an ORGANIZER; without one it's a plain PUBLISH. */
+export function bookingInvite(booking, { cancel = false } = {}) {
+  const method = !STUDIO.email ? 'PUBLISH' : cancel ? 'CANCEL' : 'REQUEST';
+  return {
+    method,
+    ics: buildICS({
+      uid: booking.uid,
+      date: booking.date,
+      ...(!booking.allDay && { start: new Date(booking.startsAt), end: new Date(booking.endsAt) }),
+      summary: booking.summary,
+      status: cancel ? 'CANCELLED' : 'CONFIRMED',
+      organizer: STUDIO,
+      attendee: booking.customer,
+      method,
+      // Later messages about the same booking replace earlier ones
+      sequence: Math.floor(Date.now() / 1000),
+    }),
+  };
+}
+
+/* Send one templated message about `booking`. Never throws — a mail problem must not
+   undo a booking or fail a webhook — and returns { sent } / { skipped } / { error }. */
+export async function notify(kind, booking, extra = {}) {
+  try {
+    const to = booking?.customer?.email;
+    if (!to) return { skipped: 'no customer email' };
+
+    const withLink = { ...extra };
+    if (!withLink.manageUrl && linksConfigured() && ['confirmed', 'rescheduled', 'reminder'].includes(kind)) {
+      withLink.manageUrl = manageUrl(signBookingToken({ uid: booking.uid, sessionId: booking.payment?.sessionId }));
+    }
+
+    const { subject, text } = render(kind, booking, withLink);
+    const invite = bookingInvite(booking, { cancel: kind === 'cancelled' || kind === 'refunded' });
+
+    const result = await getTransport().send({
+      kind,
+      to,
+      ...(STUDIO.email && kind !== 'reminder' && { bcc: STUDIO.email }),
+      subject,
+      text,
+      attachments: [{
+        filename: 'booking.ics',
+        content: invite.ics,
+        contentType: `text/calendar; charset=utf-8; method=${invite.method}`,
+      }],
+    });
+    return { sent: kind, to, id: result?.id ?? null };
+  } catch (e) {
+    console.error(`[notify] ${kind} failed:`, e?.message || e);
+    return { error: String(e?.message || e) };
+  }
+}
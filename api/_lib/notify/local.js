@@ -0,0 +1,43 @@
+// api/_lib/notify/local.js  — dev / test transports: write each message to a directory, or log it
+//
+//   NOTIFY_DIR/<time>-<kind>-<to>/message.txt + attachments
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+const safe = (s) => String(s || 'nobody').replace(/[^\w.@-]+/g, '_');
+
+function headerBlock(message) {
+  return [
+    `From: ${message.from || ''}`,
+    `To: ${message.to}`,
+    ...(message.bcc ? [`Bcc: ${message.bcc}`] : []),
+    `Subject: ${message.subject}`,
+  ].join('\n');
+}
+
+export function createFileTransport({ dir, from }) {
+  return {
+    name: 'file',
+    async send(message) {
+      const id = `${Date.now()}-${safe(message.kind)}-${safe(message.to)}`;
+      const out = path.join(dir, id);
+      await fs.mkdir(out, { recursive: true });
+      await fs.writeFile(path.join(out, 'message.txt'), `${headerBlock({ from, ...message })}\n\n${message.text}\n`);
+      for (const a of message.attachments || []) {
+        await fs.writeFile(path.join(out, safe(a.filename)), a.content);
+      }
+      return { id, path: out };
+    },
+  };
+}
+
+export function createConsoleTransport({ from } = {}) {
+  return {
+    name: 'console',
+    async send(message) {
+      const files = (message.attachments || []).map(a => a.filename).join(', ');
+      console.log(`[notify] ${headerBlock({ from, ...message })}\n${message.text}${files ? `\n(attached: ${files})` : ''}`);
+      return { id: null };
+    },
+  };
+}
@@ -0,0 +1,20 @@
+// api/_lib/notify/smtp.js  — send through any SMTP server (Fastmail, Gmail, SES, Postmark…)
+import nodemailer from 'nodemailer';
+
+export function createSMTPTransport({ host, port = 587, secure, user, password, from }) {
+  const mailer = nodemailer.createTransport({
+    host,
+    port: Number(port),
+    // 465 is TLS from the start; 587/25 upgrade with STARTTLS
+    secure: secure === undefined ? Number(port) === 465 : String(secure) === 'true',
+    ...(user && { auth: { user, pass: password } }),
+  });
+
+  return {
+    name: 'smtp',
+    async send({ kind, ...message }) {
+      const info = await mailer.sendMail({ from, ...message });
+      return { id: info.messageId };
+    },
+  };
+}
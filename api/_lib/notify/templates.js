@@ -0,0 +1,112 @@
+// api/_lib/notify/templates.js  — the words in each message (plain text)
+//
+// Every template gets the booking as the API shows it (see toBooking) plus `extra`:
+//   confirmed   { manageUrl? }
+//   cancelled   { refund?: { status, amount } }
+//   rescheduled { from: booking, manageUrl? }
+//   refunded    { reason? }          paid, but the slot was gone — nothing was booked
+//   reminder    { manageUrl?, days }
+import { STUDIO_TZ } from '../time.js';
+import { CATALOG } from '../catalog.js';
+import { STUDIO } from '../customer.js';
+
+const STUDIO_NAME = STUDIO.name;
+
+function money(cents) {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: CATALOG.currency.toUpperCase() })
+    .format((Number(cents) || 0) / 100);
+}
+
+/* "Saturday, June 1, 2030, 12:00 – 14:00 (America/New_York)" or the day for all-day bookings */
+export function when(booking) {
+  if (booking.allDay) {
+    const day = new Date(`${booking.date}T12:00:00Z`)
+      .toLocaleDateString('en-US', { timeZone: 'UTC', dateStyle: 'full' });
+    return `${day} (all day)`;
+  }
+  const day = new Date(booking.startsAt)
+    .toLocaleDateString('en-US', { timeZone: STUDIO_TZ, dateStyle: 'full' });
+  return `${day}, ${booking.start} – ${booking.end} (${STUDIO_TZ})`;
+}
+
+const hello = (b) => `Hi ${b.customer?.name || 'there'},`;
+const sign = [`— ${STUDIO_NAME}`];
+const manage = (url) => (url ? ['', `View, reschedule or cancel: ${url}`] : []);
+
+function paymentLines(b) {
+  const p = b.payment || {};
+  if (p.amountPaid === null || p.amountPaid === undefined) return [];
+  return [
+    `Paid: ${money(p.amountPaid)}`,
+    ...(p.amountDue ? [`Balance due: ${money(p.amountDue)}`] : []),
+  ];
+}
+
+const TEMPLATES = {
+  confirmed: (b, x) => ({
+    subject: `Booking confirmed: ${b.summary} on ${b.date}`,
+    lines: [
+      hello(b), '',
+      `You're booked at ${STUDIO_NAME}:`, '',
+      `  ${b.summary}`, `  ${when(b)}`, '',
+      ...paymentLines(b),
+      ...manage(x.manageUrl),
+      '', 'The attached invite adds it to your calendar.', '', ...sign,
+    ],
+  }),
+
+  cancelled: (b, x) => ({
+    subject: `Booking cancelled: ${b.summary} on ${b.date}`,
+    lines: [
+      hello(b), '',
+      'This booking has been cancelled:', '',
+      `  ${b.summary}`, `  ${when(b)}`, '',
+      ...(x.refund?.status === 'refunded' ? [`Refund: ${money(x.refund.amount)} (allow 5–10 days to arrive)`]
+        : x.refund?.reason ? [`No refund: ${x.refund.reason}`] : []),
+      '', ...sign,
+    ],
+  }),
+
+  rescheduled: (b, x) => ({
+    subject: `Booking moved: ${b.summary} is now on ${b.date}`,
+    lines: [
+      hello(b), '',
+      'Your booking has moved.', '',
+      ...(x.from ? [`  Was: ${when(x.from)}`] : []),
+      `  Now: ${when(b)}`,
+      ...manage(x.manageUrl),
+      '', 'The attached invite updates your calendar.', '', ...sign,
+    ],
+  }),
+
+  refunded: (b, x) => ({
+    subject: `Sorry — ${b.date} was just taken, you've been refunded`,
+    lines: [
+      hello(b), '',
+      `Someone booked ${when(b)} moments before your payment went through, so we couldn't`,
+      `book ${b.summary}. Your payment has been refunded in full (allow 5–10 days).`,
+      ...(x.reason ? ['', `(${x.reason})`] : []),
+      '', 'Please pick another time on our site — sorry for the trouble.', '', ...sign,
+    ],
+  }),
+
+  reminder: (b, x) => ({
+    subject: `Reminder: ${b.summary} ${x.days === 1 ? 'tomorrow' : `on ${b.date}`}`,
+    lines: [
+      hello(b), '',
+      'See you soon:', '',
+      `  ${b.summary}`, `  ${when(b)}`, '',
+      ...paymentLines(b),
+      ...manage(x.manageUrl),
+      '', ...sign,
+    ],
+  }),
+};
+
+/* { subject, text } for a message kind */
+export function render(kind, booking, extra = {}) {
+  const template = TEMPLATES[kind];
+  if (!template) throw new Error(`Unknown notification: ${kind}`);
+  const { subject, lines } = template(booking, extra);
+  return { subject, text: lines.join('\n') };
+}
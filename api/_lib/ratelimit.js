@@ -0,0 +1,93 @@
+// api/_lib/ratelimit.js  — per-IP, per-route request limits for the public routes
+//
+// Fixed windows per IP, counted in the KV store (_lib/kv.js): in-process memory in dev, the
+// Redis-compatible REST store in production so every instance shares the counts.
+//
+// RATE_LIMITS (JSON) overrides the defaults per route:
+//   { "availability": { "limit": 120, "windowSeconds": 60 }, "quote": false }
+// `false` (or limit 0) turns a route's limit off. Admin requests are never limited, and if
+// the store can't be reached the request goes through (logged) rather than failing.
+import { isAdmin } from './auth.js';
+import { getKV } from './kv.js';
+
+const DEFAULT_LIMITS = {
+  availability: { limit: 60, windowSeconds: 60 },
+  services: { limit: 60, windowSeconds: 60 },
+  quote: { limit: 60, windowSeconds: 60 },
+  checkout: { limit: 10, windowSeconds: 10 * 60 },
+  manage: { limit: 30, windowSeconds: 60 },
+};
+
+function normalize(overrides) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('RATE_LIMITS must be an object of route → { limit, windowSeconds }');
+  }
+  const limits = { ...DEFAULT_LIMITS };
+  for (const [route, v] of Object.entries(overrides)) {
+    if (v === false || v?.limit === 0) {
+      limits[route] = null;
+      continue;
+    }
+    const limit = Number(v?.limit ?? limits[route]?.limit);
+    const windowSeconds = Number(v?.windowSeconds ?? limits[route]?.windowSeconds ?? 60);
+    if (!Number.isInteger(limit) || limit < 1) throw new Error(`${route}: limit must be a positive whole number`);
+    if (!Number.isInteger(windowSeconds) || windowSeconds < 1) throw new Error(`${route}: windowSeconds must be a positive whole number`);
+    limits[route] = { limit, windowSeconds };
+  }
+  return limits;
+}
+
+function loadLimits() {
+  const json = process.env.RATE_LIMITS;
+  if (!json) return DEFAULT_LIMITS;
+  try {
+    return normalize(JSON.parse(json));
+  } catch (e) {
+    throw new Error(`Invalid RATE_LIMITS: ${e.message}`);
+  }
+}
+
+export const RATE_LIMITS = loadLimits();
+
+/* The caller's address: Vercel puts the client first in X-Forwarded-For */
+export function clientIp(req) {
+  const forwarded = String(req.headers?.['x-forwarded-for'] || '').split(',')[0].trim();
+  return forwarded || String(req.headers?.['x-real-ip'] || '') || req.socket?.remoteAddress || 'unknown';
+}
+
+/* Count this request against `route` → { ok, limit, remaining, retryAfter } (ok when not limited).
+   The window opens with an IP's first request and the counter expires with it. */
+export async function takeToken(route, ip, { limits = RATE_LIMITS, kv = getKV() } = {}) {
+  const rule = limits[route];
+  if (!rule) return { ok: true };
+
+  const used = await kv.incr(`rate:${route}:${ip}`, { ttlSeconds: rule.windowSeconds });
+  return {
+    ok: used <= rule.limit,
+    limit: rule.limit,
+    remaining: Math.max(0, rule.limit - used),
+    retryAfter: rule.windowSeconds, // at most; the store doesn't say how much of the window is left
+  };
+}
+
+/* Node routes: `if (await rateLimit(req, res, 'quote')) return;` — true when it answered 429 */
+export async function rateLimit(req, res, route) {
+  if (isAdmin(req)) return false;
+
+  let result;
+  try {
+    result = await takeToken(route, clientIp(req));
+  } catch (e) {
+    console.error(`[ratelimit] ${route} not counted:`, e?.message || e);
+    return false;
+  }
+  if (!result.limit) return false;
+
+  res.setHeader('X-RateLimit-Limit', String(result.limit));
+  res.setHeader('X-RateLimit-Remaining', String(result.remaining));
+  if (result.ok) return false;
+
+  res.setHeader('Retry-After', String(result.retryAfter));
+  res.status(429).json({ error: 'too many requests', retryAfter: result.retryAfter });
+  return true;
+}
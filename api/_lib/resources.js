@@ -0,0 +1,59 @@
+// api/_lib/resources.js  — what can be booked: rooms, engineers, … each with its own calendar
+//
+// RESOURCES (JSON array; unset = the one studio on BOOKINGS_CAL_NAME):
+//   { id, name, kind?, calendar, blackouts?, services?: [serviceId], capacity? }
+// `calendar` holds that resource's bookings (and anything else that keeps it busy),
+// `blackouts` its own closures (an engineer's vacation). The studio-wide Blackouts calendar
+// still closes every resource. `services` limits what it can be booked for, `capacity`
+// replaces the daily capacity from BOOKING_RULES for it. A booking takes one resource;
+// the first free one in this order unless a specific one is asked for.
+const { BOOKINGS_CAL_NAME = 'Bookings' } = process.env;
+
+const DEFAULT_RESOURCES = [{ id: 'studio', name: 'Studio', kind: 'room', calendar: BOOKINGS_CAL_NAME }];
+
+function normalize(list) {
+  if (!Array.isArray(list) || !list.length) throw new Error('RESOURCES must be a non-empty array');
+  const seen = new Set();
+  return list.map((r) => {
+    if (!r?.id || !r?.calendar) throw new Error('RESOURCES: every resource needs an id and a calendar');
+    const id = String(r.id);
+    if (seen.has(id)) throw new Error(`RESOURCES: duplicate id ${id}`);
+    seen.add(id);
+    return {
+      id,
+      name: String(r.name || id),
+      kind: String(r.kind || 'room'),
+      calendar: String(r.calendar),
+      blackouts: r.blackouts ? String(r.blackouts) : null,
+      services: Array.isArray(r.services) ? r.services.map(String) : null,
+      capacity: r.capacity === undefined || r.capacity === null ? null : Number(r.capacity) || 0,
+    };
+  });
+}
+
+function loadResources() {
+  const json = process.env.RESOURCES;
+  if (!json) return normalize(DEFAULT_RESOURCES);
+  try {
+    return normalize(JSON.parse(json));
+  } catch (e) {
+    throw new Error(`Invalid RESOURCES: ${e.message}`);
+  }
+}
+
+export const RESOURCES = loadResources();
+
+export function getResource(id) {
+  return RESOURCES.find(r => r.id === id) || null;
+}
+
+/* Resources that can take a booking of `serviceId` (optionally only `resource`), in order */
+export function resourcesFor({ serviceId, resource } = {}, list = RESOURCES) {
+  return list.filter(r =>
+    (!resource || r.id === resource) && (!serviceId || !r.services || r.services.includes(serviceId)));
+}
+
+/* Public description (no calendar names) */
+export function resourceView(r) {
+  return { id: r.id, name: r.name, kind: r.kind, ...(r.services && { services: r.services }) };
+}
@@ -0,0 +1,360 @@
+// api/_lib/rules.js  — the booking rules every route uses (site, book, checkout, webhook)
+//
+// BOOKING_RULES (JSON, same shape as DEFAULT_RULES) replaces the built-in rules:
+//   capacity        units of studio time a day holds
+//   weekdays        { sat: 1, sun: 0, … } capacity on those weekdays instead (0 = closed)
+//   services        { [serviceId]: { weight?, exclusive? } }
+//                     weight: units one booking uses (default `defaultWeight`)
+//                     exclusive: true — nothing else that day; { underHours } — only when shorter
+//   defaultWeight   units for bookings without a known service (hand-made events, no serviceId)
+//   minNoticeHours  sessions start at least this long from now
+//   maxAdvanceDays  and at most this many days ahead (null = no limit)
+//
+// A booking's service is its X-SERVICE-ID, or for older / hand-made events the catalog service
+// whose name is in its SUMMARY. A day that can't be booked says why in `blockedBy`.
+// Busy time from other calendars (busy.js) blocks hours but uses no capacity.
+import { dayBounds, addDays, toDayKey, dayKeyOf, weekdayOf, parseWeekday } from './time.js';
+import { freeSlots, isSlotFree, busyIntervals, parseDuration, parseStartTime } from './slots.js';
+import { openCalendars, fetchRange } from './calendar.js';
+import { CATALOG } from './catalog.js';
+import { resourcesFor } from './resources.js';
+import { fetchBusy } from './busy.js';
+
+const DEFAULT_RULES = {
+  capacity: 2,
+  weekdays: {},
+  services: {
+    // A short recording session takes the whole day; a full-day lockout fills it
+    recording: { exclusive: { underHours: 4 } },
+    'full-day': { weight: 2 },
+  },
+  defaultWeight: 1,
+  minNoticeHours: 0,
+  maxAdvanceDays: null,
+};
+
+const count = (v, fallback) => (Number.isFinite(Number(v)) && Number(v) >= 0 ? Number(v) : fallback);
+
+function normalizeExclusive(x) {
+  if (x === true) return true;
+  if (count(x?.underHours, null)) return { underHours: count(x.underHours) };
+  return false;
+}
+
+function normalize(raw) {
+  const capacity = count(raw?.capacity, DEFAULT_RULES.capacity);
+  const weekdays = {};
+  for (const [key, units] of Object.entries(raw?.weekdays || {})) {
+    const d = parseWeekday(key);
+    if (d === null || count(units, null) === null) throw new Error(`BOOKING_RULES: invalid weekdays.${key}`);
+    weekdays[d] = count(units);
+  }
+  const defaultWeight = count(raw?.defaultWeight, DEFAULT_RULES.defaultWeight);
+  const services = {};
+  for (const [id, s] of Object.entries(raw?.services || {})) {
+    services[id] = { weight: count(s?.weight, defaultWeight), exclusive: normalizeExclusive(s?.exclusive) };
+  }
+  return {
+    capacity,
+    weekdays,
+    services,
+    defaultWeight,
+    minNoticeHours: count(raw?.minNoticeHours, 0),
+    maxAdvanceDays: raw?.maxAdvanceDays === null || raw?.maxAdvanceDays === undefined
+      ? null : count(raw.maxAdvanceDays, null),
+  };
+}
+
+function loadRules() {
+  const json = process.env.BOOKING_RULES;
+  if (!json) return normalize(DEFAULT_RULES);
+  try {
+    return normalize(JSON.parse(json));
+  } catch (e) {
+    throw new Error(`Invalid BOOKING_RULES: ${e.message}`);
+  }
+}
+
+export const RULES = loadRules();
+
+function overlaps(s1, e1, s2, e2) { return s1 < e2 && e1 > s2; }
+
+/* Units the studio has on a day (weekday override, else the daily capacity) */
+export function capacityOn(day, rules = RULES) {
+  return rules.weekdays[weekdayOf(day)] ?? rules.capacity;
+}
+
+/* The catalog service of a calendar event: X-SERVICE-ID, else by name in the summary */
+function serviceIdOf(ev) {
+  if (ev.serviceId) return ev.serviceId;
+  const summary = String(ev.summary || '').toLowerCase();
+  return CATALOG.services.find(s => summary.includes(s.name.toLowerCase()))?.id || null;
+}
+
+/* How a booking of `serviceId` lasting `minutes` (null = whole day) weighs on its day */
+function demandOf(serviceId, minutes, rules = RULES) {
+  const r = rules.services[serviceId] || {};
+  const ex = r.exclusive;
+  return {
+    weight: r.weight ?? rules.defaultWeight,
+    exclusive: ex === true || Boolean(ex && minutes !== null && minutes < ex.underHours * 60),
+  };
+}
+
+/* How long an event books: its times, or for an all-day event the "(3h)" in its summary
+   (older bookings were all-day events named like that) — null when it's the whole day */
+function minutesOf(ev) {
+  if (!ev.allDay) return (ev.end - ev.start) / 60000;
+  const m = String(ev.summary || '').match(/\((\d+(?:\.\d+)?)\s*h\)/i);
+  return m ? parseDuration(m[1]) : null;
+}
+
+/* Bookings on a date (one per UID, so a recurring series counts once a day) with their demand */
+function bookingsOnDate(events, day, rules) {
+  const { start: dayStart, end: dayEnd } = dayBounds(day);
+  const byUid = new Map();
+  for (const ev of events || []) {
+    if (!ev?.start || !ev?.end || byUid.has(ev.uid)) continue;
+    if (!overlaps(ev.start, ev.end, dayStart, dayEnd)) continue;
+    byUid.set(ev.uid, demandOf(serviceIdOf(ev), minutesOf(ev), rules));
+  }
+  return [...byUid.values()];
+}
+
+function hasEventOnDate(events, day) {
+  const { start: dayStart, end: dayEnd } = dayBounds(day);
+  return (events || []).some(ev => ev?.start && ev?.end && overlaps(ev.start, ev.end, dayStart, dayEnd));
+}
+
+/* Busy time on a day, clipped to it and merged: [{ start, end }] (ISO) — no titles */
+function busyOnDate(events, day) {
+  const { start: dayStart, end: dayEnd } = dayBounds(day);
+  const spans = (events || [])
+    .filter(ev => overlaps(ev.start, ev.end, dayStart, dayEnd))
+    .map(ev => ({ start: Math.max(ev.start, dayStart), end: Math.min(ev.end, dayEnd) }))
+    .sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const s of spans) {
+    const last = merged[merged.length - 1];
+    if (last && s.start <= last.end) last.end = Math.max(last.end, s.end);
+    else merged.push({ ...s });
+  }
+  return merged.map(s => ({ start: new Date(s.start).toISOString(), end: new Date(s.end).toISOString() }));
+}
+
+/* Earliest start the notice rule allows */
+function noticeCutoff(now, rules = RULES) {
+  return new Date(now.getTime() + rules.minNoticeHours * 60 * 60 * 1000);
+}
+
+/* Status of one studio day from already-fetched events (pure).
+   The question is "can `serviceId` be booked here": for `durationMinutes` as a timed session,
+   else for the whole day. `blockedBy` lists every rule that says no ([] when available). */
+export function evaluateDay(day, { bookingEvents, blackoutEvents, busyEvents = [] }, { durationMinutes, serviceId, now = new Date(), rules = RULES } = {}) {
+  const bookings = bookingsOnDate(bookingEvents, day, rules);
+  const blackout = hasEventOnDate(blackoutEvents, day);
+  const units = capacityOn(day, rules);
+  const used = bookings.reduce((sum, b) => sum + b.weight, 0);
+  const want = demandOf(serviceId, durationMinutes || null, rules);
+
+  const cutoff = noticeCutoff(now, rules);
+  const { start: dayStart, end: dayEnd } = dayBounds(day);
+
+  const blockedBy = [];
+  const block = (rule, detail) => blockedBy.push({ rule, detail });
+
+  if (blackout) block('blackout', 'closed that day');
+  // Busy elsewhere: all day, or (for a whole-day booking) at any time the studio is open
+  const busyAllDay = busyEvents.some(ev => ev.allDay && overlaps(ev.start, ev.end, dayStart, dayEnd));
+  if (busyAllDay || (!durationMinutes && busyIntervals(busyEvents, day).length)) {
+    block('busy', busyAllDay ? 'unavailable that day' : 'unavailable part of the day');
+  }
+  if (!units) block('closed', 'no bookings on this weekday');
+  if (rules.maxAdvanceDays !== null && day > addDays(dayKeyOf(now), rules.maxAdvanceDays)) {
+    block('max-advance', `bookings open ${rules.maxAdvanceDays} days ahead`);
+  }
+  // A timed session needs some of the day after the cutoff, a whole-day booking all of it —
+  // without a notice period, today is still bookable until it's over
+  const wholeDayNotice = !durationMinutes && rules.minNoticeHours > 0;
+  if (wholeDayNotice ? dayStart < cutoff : dayEnd <= cutoff) {
+    block('min-notice', rules.minNoticeHours ? `book at least ${rules.minNoticeHours}h ahead` : 'too late to book');
+  }
+  if (units && bookings.some(b => b.exclusive)) block('exclusive', 'an exclusive session is booked');
+  else if (units && want.exclusive && bookings.length) block('exclusive', 'this session needs the day to itself');
+  if (units && used + want.weight > units) block('capacity', `${used} of ${units} units booked`);
+
+  const status = {
+    date: day,
+    available: blockedBy.length === 0,
+    blackout,
+    bookedCount: bookings.length,
+    capacity: { units, used },
+    blockedBy,
+  };
+  const busy = busyOnDate(busyEvents, day);
+  if (busy.length) status.busy = busy;
+
+  // Timed sessions: start times where `duration` fits between real bookings (+ buffer)
+  if (durationMinutes) {
+    status.durationHours = durationMinutes / 60;
+    status.slots = blockedBy.length ? [] : freeSlots([...bookingEvents, ...blackoutEvents, ...busyEvents], day, durationMinutes)
+      .filter(s => parseStartTime(day, s.start) >= cutoff);
+  }
+  return status;
+}
+
+// One resource's view of the fetched data: its bookings, its own + the studio-wide blackouts / busy time
+function eventsFor(data, resourceId) {
+  const mine = (ev) => !ev.resource || ev.resource === resourceId;
+  return {
+    bookingEvents: data.bookingEvents.filter(ev => ev.resource === resourceId),
+    blackoutEvents: data.blackoutEvents.filter(mine),
+    busyEvents: data.busyEvents.filter(mine),
+  };
+}
+
+const rulesFor = (resource) => (resource.capacity === null ? RULES : { ...RULES, capacity: resource.capacity });
+
+/* The studio's answer for a day from its resources' answers: available when any one is,
+   units / bookings summed, slots merged. With several resources each one is listed too. */
+function combineDay(day, perResource, { listResources }) {
+  if (!perResource.length) {
+    return {
+      date: day, available: false, blackout: false, bookedCount: 0, capacity: { units: 0, used: 0 },
+      blockedBy: [{ rule: 'resource', detail: 'nothing can be booked for this' }],
+    };
+  }
+
+  const statuses = perResource.map(p => p.status);
+  const status = statuses.length === 1 ? { ...statuses[0] } : {
+    date: day,
+    available: statuses.some(s => s.available),
+    blackout: statuses.every(s => s.blackout),
+    bookedCount: statuses.reduce((n, s) => n + s.bookedCount, 0),
+    capacity: {
+      units: statuses.reduce((n, s) => n + s.capacity.units, 0),
+      used: statuses.reduce((n, s) => n + s.capacity.used, 0),
+    },
+    blockedBy: statuses.some(s => s.available) ? []
+      : statuses.flatMap(s => s.blockedBy).filter((b, i, all) => all.findIndex(x => x.rule === b.rule) === i),
+    ...(statuses[0].slots && {
+      durationHours: statuses[0].durationHours,
+      slots: [...new Map(statuses.flatMap(s => s.slots).map(sl => [sl.start, sl])).values()]
+        .sort((a, b) => a.start.localeCompare(b.start)),
+    }),
+  };
+
+  if (listResources) {
+    status.resources = perResource.map(({ resource, status: s }) => ({
+      id: resource.id,
+      name: resource.name,
+      kind: resource.kind,
+      available: s.available,
+      bookedCount: s.bookedCount,
+      capacity: s.capacity,
+      blockedBy: s.blockedBy,
+      ...(s.busy && { busy: s.busy }),
+      ...(s.slots && { slots: s.slots }),
+    }));
+  }
+  return status;
+}
+
+/* Every studio day in [startDay, endDay] — one calendar round-trip.
+   Only resources that take `serviceId` (and only `resource`, when given) are considered;
+   `byResource` has each one's own days. `ignoreUid` leaves one booking out (the one being
+   moved, or the hold being confirmed). `fresh` skips cached calendar reads that haven't been
+   re-checked against the server (see backends/cached.js). */
+export async function getAvailability(startDay, endDay, {
+  durationMinutes, serviceId, resource, cals, ignoreUid, now = new Date(), fresh = false,
+} = {}) {
+  cals = cals || await openCalendars();
+  const range = { start: dayBounds(startDay).start, end: dayBounds(endDay).end };
+  const [data, busy] = await Promise.all([fetchRange(cals, range, { fresh }), fetchBusy(cals, range, { fresh })]);
+  data.busyEvents = busy.busyEvents;
+  data.busyErrors = busy.errors;
+
+  // Live checkout holds count like bookings; expired ones are just litter.
+  // Cancelled events (payment failed, refunded, dispute lost) stay in the calendar but free the slot.
+  data.bookingEvents = data.bookingEvents.filter(ev =>
+    ev.uid !== ignoreUid && ev.status !== 'CANCELLED' && !(ev.holdExpires && ev.holdExpires <= now));
+
+  const byResource = resourcesFor({ serviceId, resource }, cals.resources).map(r => {
+    const events = eventsFor(data, r.id);
+    const days = [];
+    for (let d = startDay; d <= endDay; d = addDays(d, 1)) {
+      days.push(evaluateDay(d, events, { durationMinutes, serviceId, now, rules: rulesFor(r) }));
+    }
+    return { resource: r, events, days };
+  });
+
+  const days = [];
+  for (let d = startDay, i = 0; d <= endDay; d = addDays(d, 1), i++) {
+    const perResource = byResource.map(({ resource: r, days: rd }) => ({ resource: r, status: rd[i] }));
+    days.push(combineDay(d, perResource, { listResources: cals.resources.length > 1 }));
+  }
+  return { days, byResource, range, cals, ...data };
+}
+
+/* Status of a single date ('YYYY-MM-DD', studio day) */
+export async function getDayStatus(date, opts = {}) {
+  const day = toDayKey(date);
+  if (!day) throw new Error('invalid date');
+  const { days } = await getAvailability(day, day, opts);
+  return days[0];
+}
+
+// Why `resource`'s day status (+ the session's own time) says no, or null
+function refusal(status, session, events, { start, now }) {
+  const blocked = status.blockedBy[0]?.rule;
+  if (blocked) return blocked === 'capacity' ? `capacity:${status.bookedCount}` : blocked;
+  if (!session) return null;
+  if (session.start < noticeCutoff(now)) return 'min-notice';
+  const taken = [...events.bookingEvents, ...events.blackoutEvents, ...events.busyEvents];
+  if (!isSlotFree(taken, session.start, session.end)) return `slot:${start}`;
+  return null;
+}
+
+/* Can { date, start?, duration?, serviceId?, resource? } be booked right now?
+   `start` ("HH:mm") + `duration` (hours) ask for a timed session, otherwise the whole day.
+   Without `resource` the first free one (RESOURCES order) that takes the service is picked.
+   Returns { ok, day, session, status, reason, resource, cals } or { ok: false, invalid } for bad input.
+   `reason` is the first rule that said no (`capacity:<bookedCount>`, `slot:<start>`, …). */
+export async function checkBooking({ date, start, duration, serviceId, resource }, { cals, ignoreUid, now = new Date() } = {}) {
+  const day = toDayKey(date);
+  if (!day) return { ok: false, invalid: 'invalid date' };
+
+  let session = null;
+  if (start !== undefined && start !== null && start !== '') {
+    const minutes = parseDuration(duration);
+    const startAt = parseStartTime(day, start);
+    if (!startAt) return { ok: false, invalid: 'invalid start (HH:mm)' };
+    if (!minutes) return { ok: false, invalid: 'invalid duration' };
+    session = { start: startAt, end: new Date(startAt.getTime() + minutes * 60 * 1000), minutes };
+  }
+
+  cals = cals || await openCalendars();
+  if (resource && !cals.resources.some(r => r.id === resource)) return { ok: false, invalid: 'unknown resource' };
+  if (!resourcesFor({ serviceId, resource }, cals.resources).length) {
+    return { ok: false, invalid: resource ? 'resource does not take this service' : 'no resource takes this service' };
+  }
+
+  // About to write: a stale cached read must not let a booking through
+  const av = await getAvailability(day, day, {
+    durationMinutes: session?.minutes, serviceId, resource, cals, ignoreUid, now, fresh: true,
+  });
+  const tries = av.byResource.map(({ resource: r, events, days: [status] }) => ({
+    resource: r.id, status, reason: refusal(status, session, events, { start, now }),
+  }));
+  const pick = tries.find(t => !t.reason);
+
+  return {
+    ok: Boolean(pick),
+    day,
+    session,
+    status: pick?.status || (tries.length === 1 ? tries[0].status : av.days[0]),
+    reason: pick ? null : tries[0].reason,
+    resource: pick?.resource || null,
+    cals: av.cals,
+  };
+}
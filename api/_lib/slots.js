@@ -0,0 +1,86 @@
+// api/_lib/slots.js  — bookable start times from real event start/end
+import { atMinutes, dayKeyOf, formatTime } from './time.js';
+
+const {
+  STUDIO_OPEN_HOUR = '10',   // first possible session start (studio-local hour)
+  STUDIO_CLOSE_HOUR = '22',  // sessions must end by this hour
+  BUFFER_MINUTES = '30',     // turnaround kept free around every booking
+  SLOT_STEP_MINUTES = '60',  // spacing between offered start times
+} = process.env;
+
+export const SLOT_SETTINGS = {
+  openHour: Number(STUDIO_OPEN_HOUR),
+  closeHour: Number(STUDIO_CLOSE_HOUR),
+  bufferMinutes: Number(BUFFER_MINUTES),
+  stepMinutes: Number(SLOT_STEP_MINUTES),
+};
+
+const MINUTE = 60 * 1000;
+
+function overlaps(s1, e1, s2, e2) { return s1 < e2 && e1 > s2; }
+
+/* Studio opening window for a day ('YYYY-MM-DD', studio clock) */
+export function openWindow(day) {
+  return {
+    start: atMinutes(day, SLOT_SETTINGS.openHour * 60),
+    end: atMinutes(day, SLOT_SETTINGS.closeHour * 60),
+  };
+}
+
+/* Duration in hours (query/body value) → minutes, or null if unusable */
+export function parseDuration(value) {
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours <= 0) return null;
+  const minutes = Math.round(hours * 60);
+  const windowMinutes = (SLOT_SETTINGS.closeHour - SLOT_SETTINGS.openHour) * 60;
+  return minutes <= windowMinutes ? minutes : null;
+}
+
+/* "HH:mm" on a studio day → Date, or null */
+export function parseStartTime(day, hhmm) {
+  const m = String(hhmm || '').match(/^(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  const h = Number(m[1]), mi = Number(m[2]);
+  if (h > 23 || mi > 59) return null;
+  return atMinutes(day, h * 60 + mi);
+}
+
+/* Busy intervals: all-day events block the whole window, timed ones get the buffer on both sides */
+export function busyIntervals(events, day) {
+  const win = openWindow(day);
+  const buffer = SLOT_SETTINGS.bufferMinutes * MINUTE;
+  const busy = [];
+  for (const ev of events || []) {
+    if (!ev?.start || !ev?.end) continue;
+    const start = ev.allDay ? ev.start : new Date(ev.start.getTime() - buffer);
+    const end   = ev.allDay ? ev.end   : new Date(ev.end.getTime() + buffer);
+    if (overlaps(start, end, win.start, win.end)) busy.push({ start, end });
+  }
+  return busy;
+}
+
+/* Is [start, end) inside opening hours and clear of every busy interval? */
+export function isSlotFree(events, start, end) {
+  const day = dayKeyOf(start);
+  const win = openWindow(day);
+  if (start < win.start || end > win.end) return false;
+  return !busyIntervals(events, day).some(b => overlaps(start, end, b.start, b.end));
+}
+
+/* Every bookable start time on a day for the requested duration */
+export function freeSlots(events, day, durationMinutes) {
+  const win = openWindow(day);
+  const busy = busyIntervals(events, day);
+  const slots = [];
+  for (
+    let s = win.start;
+    s.getTime() + durationMinutes * MINUTE <= win.end.getTime();
+    s = new Date(s.getTime() + SLOT_SETTINGS.stepMinutes * MINUTE)
+  ) {
+    const e = new Date(s.getTime() + durationMinutes * MINUTE);
+    if (!busy.some(b => overlaps(s, e, b.start, b.end))) {
+      slots.push({ start: formatTime(s), end: formatTime(e) });
+    }
+  }
+  return slots;
+}
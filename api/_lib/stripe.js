@@ -0,0 +1,38 @@
+// api/_lib/stripe.js  — tiny Stripe REST helper (form-encoded, like the Checkout call)
+const STRIPE_KEY = process.env.STRIPE_SECRET_KEY;
+
+export function stripeConfigured() {
+  return Boolean(STRIPE_KEY);
+}
+
+/* POST/GET https://api.stripe.com/v1/<path>; throws with Stripe's message on failure.
+   `idempotencyKey` makes a retried POST return the first result instead of repeating it. */
+export async function stripeRequest(path, params, { method = params ? 'POST' : 'GET', idempotencyKey } = {}) {
+  if (!STRIPE_KEY) throw new Error('STRIPE_SECRET_KEY not configured');
+
+  const res = await fetch(`https://api.stripe.com/v1/${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${STRIPE_KEY}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+      ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey }),
+    },
+    body: params ? new URLSearchParams(params) : undefined,
+  });
+
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(json?.error?.message || `Stripe ${path} failed (${res.status})`);
+    err.status = res.status;
+    throw err;
+  }
+  return json;
+}
+
+/* Refund a payment — whole thing, or `amount` cents of it */
+export function createRefund(paymentIntent, amount, { idempotencyKey } = {}) {
+  return stripeRequest('refunds', {
+    payment_intent: String(paymentIntent),
+    ...(amount ? { amount: String(amount) } : {}),
+  }, { idempotencyKey });
+}
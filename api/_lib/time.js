@@ -0,0 +1,150 @@
+// api/_lib/time.js  — studio timezone helpers (days are 'YYYY-MM-DD' keys in STUDIO_TZ)
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+export function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return Boolean(tz);
+  } catch {
+    return false;
+  }
+}
+
+// Where the studio is — every "day", opening hour and booked time is in this zone,
+// never in the runtime's own zone (UTC on Vercel).
+export const STUDIO_TZ = process.env.STUDIO_TIMEZONE || 'America/New_York';
+if (!isValidTimeZone(STUDIO_TZ)) {
+  throw new Error(`Invalid STUDIO_TIMEZONE: ${STUDIO_TZ}`);
+}
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/* 'YYYY-MM-DD' (or anything Day.js parses) → studio day key, or null */
+export function toDayKey(value) {
+  if (DAY_RE.test(String(value))) {
+    // Day.js rolls 2030-02-30 over to March; a real day formats back to itself
+    return dayjs.utc(value).format('YYYY-MM-DD') === value ? value : null;
+  }
+  const d = dayjs(value);
+  return d.isValid() ? d.tz(STUDIO_TZ).format('YYYY-MM-DD') : null;
+}
+
+/* Studio day an instant falls on */
+export function dayKeyOf(js) {
+  return dayjs(js).tz(STUDIO_TZ).format('YYYY-MM-DD');
+}
+
+/* Calendar arithmetic on day keys (DST-proof: done in UTC) */
+export function addDays(day, n) {
+  return dayjs.utc(day).add(n, 'day').format('YYYY-MM-DD');
+}
+
+/* Local wall time in a zone → instant. `wall` is 'YYYY-MM-DD' or 'YYYY-MM-DDTHH:mm:ss' */
+export function zonedTime(wall, tz = STUDIO_TZ) {
+  return dayjs.tz(wall, tz).toDate();
+}
+
+/* Day of the week of a day key: 0 = Sunday … 6 = Saturday */
+export function weekdayOf(day) {
+  return dayjs.utc(day).day();
+}
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/* Weekday in config: 0–6 or a name ('sat', 'Saturday') → 0–6, or null */
+export function parseWeekday(d) {
+  const n = typeof d === 'number' || /^\d$/.test(String(d)) ? Number(d) : WEEKDAYS.indexOf(String(d).slice(0, 3).toLowerCase());
+  return n >= 0 && n <= 6 ? n : null;
+}
+
+/* [midnight, next midnight) of a studio day */
+export function dayBounds(day) {
+  return { start: zonedTime(day), end: zonedTime(addDays(day, 1)) };
+}
+
+/* Minutes after studio midnight → instant (handles DST days) */
+export function atMinutes(day, minutes) {
+  const h = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const m = String(minutes % 60).padStart(2, '0');
+  return zonedTime(`${day}T${h}:${m}:00`);
+}
+
+/* 'HH:mm' of an instant on the studio clock */
+export function formatTime(js) {
+  return dayjs(js).tz(STUDIO_TZ).format('HH:mm');
+}
+
+/* ICS local date-time (no Z) of an instant in `tz` */
+export function formatICSLocal(js, tz = STUDIO_TZ) {
+  return dayjs(js).tz(tz).format('YYYYMMDDTHHmmss');
+}
+
+/* -------------- VTIMEZONE -------------- */
+
+function offsetMinutes(ms, tz) {
+  return dayjs(ms).tz(tz).utcOffset();
+}
+
+function icsOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+const BYDAY = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/* Offset changes of `tz` during `year`, found by daily sampling + binary search */
+function transitions(tz, year) {
+  const out = [];
+  let prev = Date.UTC(year, 0, 1);
+  for (let day = 1; day <= 366; day++) {
+    const next = Date.UTC(year, 0, 1 + day);
+    if (offsetMinutes(prev, tz) !== offsetMinutes(next, tz)) {
+      let lo = prev, hi = next;
+      while (hi - lo > 1000) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (offsetMinutes(mid, tz) === offsetMinutes(lo, tz)) lo = mid; else hi = mid;
+      }
+      const at = Math.round(hi / 60000) * 60000; // changes happen on a minute boundary
+      out.push({ at, from: offsetMinutes(lo, tz), to: offsetMinutes(hi, tz) });
+    }
+    prev = next;
+  }
+  return out;
+}
+
+// VTIMEZONE for `tz` as observed in `year` (yearly RRULEs derived from that year's changes)
+export function buildVTimezone(tz, year) {
+  const changes = transitions(tz, year);
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${tz}`];
+
+  if (changes.length === 0) {
+    const off = icsOffset(offsetMinutes(Date.UTC(year, 0, 1), tz));
+    lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000',
+      `TZOFFSETFROM:${off}`, `TZOFFSETTO:${off}`, 'END:STANDARD');
+  }
+
+  for (const c of changes) {
+    // DTSTART is the wall-clock moment of the change, expressed in the old offset
+    const local = dayjs.utc(c.at + c.from * 60 * 1000);
+    // In the month's last 7 days it's the last such weekday (-1): a fixed 4SU would miss the
+    // years that have five
+    const nth = local.date() > local.daysInMonth() - 7 ? -1 : Math.ceil(local.date() / 7);
+    const kind = c.to > c.from ? 'DAYLIGHT' : 'STANDARD';
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${local.format('YYYYMMDDTHHmmss')}`,
+      `RRULE:FREQ=YEARLY;BYMONTH=${local.month() + 1};BYDAY=${nth}${BYDAY[local.day()]}`,
+      `TZOFFSETFROM:${icsOffset(c.from)}`,
+      `TZOFFSETTO:${icsOffset(c.to)}`,
+      `END:${kind}`,
+    );
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
@@ -0,0 +1,60 @@
+// api/_lib/tokens.js  — signed, expiring customer links for one booking (no accounts)
+//
+// token = base64url(JSON { u: uid, s: stripeSessionId, e: expiresAtUnix }) + '.' + base64url(HMAC-SHA256)
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+const {
+  BOOKING_LINK_SECRET,
+  BOOKING_LINK_TTL_DAYS = '365',
+  SITE_BASE = 'https://609music.com',
+} = process.env;
+
+// Page on the site that renders a booking from ?token=
+const MANAGE_PAGE_URL = process.env.MANAGE_PAGE_URL || `${SITE_BASE}/booking.html`;
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+
+function sign(payload) {
+  if (!BOOKING_LINK_SECRET) throw new Error('BOOKING_LINK_SECRET not configured');
+  return createHmac('sha256', BOOKING_LINK_SECRET).update(payload).digest();
+}
+
+export function linksConfigured() {
+  return Boolean(BOOKING_LINK_SECRET);
+}
+
+/* Mint a token for a booking UID (+ the Stripe session that paid for it) */
+export function signBookingToken({ uid, sessionId }, { ttlDays = Number(BOOKING_LINK_TTL_DAYS), now = Date.now() } = {}) {
+  const payload = b64url(JSON.stringify({
+    u: uid,
+    ...(sessionId && { s: sessionId }),
+    e: Math.floor(now / 1000) + Math.round(ttlDays * 24 * 60 * 60),
+  }));
+  return `${payload}.${b64url(sign(payload))}`;
+}
+
+/* { uid, sessionId, expiresAt } for a valid, unexpired token — otherwise null */
+export function verifyBookingToken(token, { now = Date.now() } = {}) {
+  const [payload, mac] = String(token || '').split('.');
+  if (!payload || !mac) return null;
+
+  const expected = sign(payload);
+  const given = Buffer.from(mac, 'base64url');
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) return null;
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (!data?.u || !Number.isFinite(data.e) || data.e * 1000 < now) return null;
+
+  return { uid: data.u, sessionId: data.s || null, expiresAt: new Date(data.e * 1000).toISOString() };
+}
+
+export function manageUrl(token) {
+  const url = new URL(MANAGE_PAGE_URL);
+  url.searchParams.set('token', token);
+  return url.href;
+}
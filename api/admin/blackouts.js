@@ -0,0 +1,55 @@
+// api/admin/blackouts.js  — studio closures (admin)
+//   GET    ?start=YYYY-MM-DD&end=YYYY-MM-DD   blackouts touching those days (default: next 90)
+//   POST   { date, endDate?, reason, note?, repeat?: { freq, interval?, until?, count?, byDay? }, resource? }
+//   DELETE ?uid=…   (If-Match: <etag> optional) — a repeating blackout goes as a whole series
+import { isAdmin } from '../_lib/auth.js';
+import { cors } from '../_lib/cors.js';
+import { listBlackouts, createBlackout, deleteBlackout } from '../_lib/blackouts.js';
+import { addDays, dayKeyOf, toDayKey } from '../_lib/time.js';
+
+export const config = { runtime: 'nodejs' };
+
+const DEFAULT_DAYS = 90;
+const MAX_LIST_DAYS = 731;
+
+async function list(req, res) {
+  const { start: startIn, end: endIn } = req.query || {};
+  const start = startIn ? toDayKey(startIn) : dayKeyOf(new Date());
+  const end = endIn ? toDayKey(endIn) : start && addDays(start, DEFAULT_DAYS - 1);
+  if (!start || !end || end < start) return res.status(400).json({ error: 'invalid start/end' });
+  if (end > addDays(start, MAX_LIST_DAYS - 1)) {
+    return res.status(400).json({ error: `at most ${MAX_LIST_DAYS} days at a time` });
+  }
+
+  const blackouts = await listBlackouts(start, end);
+  return res.status(200).json({ start, end, blackouts });
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+  if (cors(req, res, { methods: ['GET', 'POST', 'DELETE'] })) return;
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    res.setHeader('Allow', 'GET, POST, DELETE');
+    return res.status(405).json({ error: 'GET, POST or DELETE' });
+  }
+  if (!isAdmin(req)) return res.status(401).json({ error: 'unauthorized' });
+
+  try {
+    if (req.method === 'GET') return await list(req, res);
+
+    if (req.method === 'POST') {
+      const { blackout, conflicts } = await createBlackout(req.body || {});
+      return res.status(201).json({ ok: true, blackout, conflicts });
+    }
+
+    const uid = String(req.query.uid || '');
+    if (!uid) return res.status(400).json({ error: 'uid required' });
+    const removed = await deleteBlackout(uid, { ifMatch: req.headers['if-match'] });
+    return res.status(200).json({ ok: true, removed });
+  } catch (e) {
+    if (e?.body) return res.status(e.status).json(e.body);
+    if (e?.expose) return res.status(500).json(e.expose);
+    console.error('[blackouts] error:', e);
+    return res.status(500).json({ error: 'blackouts failed', detail: String(e?.message || e) });
+  }
+}
@@ -0,0 +1,88 @@
+// api/admin/bookings.js  — GET (admin): bookings in a date range, as JSON or a CSV export
+//   ?start=YYYY-MM-DD&end=YYYY-MM-DD   (default: today + 30 days, at most 366 days)
+//   &status=confirmed|tentative|cancelled  &paymentStatus=paid|deposit|…  &serviceId=…  &resource=…  &q=text
+//   &format=csv
+import { isAdmin } from '../_lib/auth.js';
+import { cors } from '../_lib/cors.js';
+import { listBookings } from '../_lib/bookings.js';
+import { CATALOG } from '../_lib/catalog.js';
+import { addDays, dayKeyOf, toDayKey } from '../_lib/time.js';
+
+export const config = { runtime: 'nodejs' };
+
+const DEFAULT_DAYS = 31;
+const MAX_DAYS = 366;
+
+const money = (c) => (c === null || c === undefined ? '' : (c / 100).toFixed(2));
+
+// One row per booking; amounts in the catalog currency (not cents) for spreadsheets
+const COLUMNS = [
+  ['uid', b => b.uid],
+  ['date', b => b.date],
+  ['start', b => b.start || ''],
+  ['end', b => b.end || ''],
+  ['all_day', b => (b.allDay ? 'yes' : '')],
+  ['status', b => b.status],
+  ['summary', b => b.summary],
+  ['service', b => b.service.id || ''],
+  ['resource', b => b.resource || ''],
+  ['add_ons', b => b.service.addOns.join(' ')],
+  ['coupon', b => b.service.coupon?.code || ''],
+  ['customer_name', b => b.customer.name || ''],
+  ['customer_email', b => b.customer.email || ''],
+  ['customer_phone', b => b.customer.phone || ''],
+  ['artist', b => b.customer.artist || ''],
+  ['payment_status', b => b.payment.status || ''],
+  ['amount_total', b => money(b.payment.amountTotal)],
+  ['amount_paid', b => money(b.payment.amountPaid)],
+  ['amount_due', b => money(b.payment.amountDue)],
+  ['currency', () => CATALOG.currency],
+  ['stripe_session_id', b => b.payment.sessionId || ''],
+  ['stripe_payment_intent', b => b.payment.paymentIntent || ''],
+  ['note', b => b.note || ''],
+];
+
+// Customer-typed text starting with = + - @ would run as a formula in a spreadsheet
+function csvCell(value) {
+  let s = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCSV(bookings) {
+  const rows = [COLUMNS.map(([name]) => name)];
+  for (const b of bookings) rows.push(COLUMNS.map(([, get]) => get(b)));
+  return rows.map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+  if (cors(req, res, { methods: ['GET'] })) return;
+  if (req.method !== 'GET') return res.status(405).json({ error: 'GET only' });
+  if (!isAdmin(req)) return res.status(401).json({ error: 'unauthorized' });
+
+  const { start: startIn, end: endIn, status, paymentStatus, serviceId, resource, q, format } = req.query || {};
+
+  try {
+    const start = startIn ? toDayKey(startIn) : dayKeyOf(new Date());
+    const end = endIn ? toDayKey(endIn) : start && addDays(start, DEFAULT_DAYS - 1);
+    if (!start || !end || end < start) return res.status(400).json({ error: 'invalid start/end' });
+    if (end > addDays(start, MAX_DAYS - 1)) return res.status(400).json({ error: `at most ${MAX_DAYS} days at a time` });
+    if (status && !['confirmed', 'tentative', 'cancelled'].includes(String(status).toLowerCase())) {
+      return res.status(400).json({ error: 'status must be confirmed, tentative or cancelled' });
+    }
+
+    const bookings = await listBookings(start, end, { status, paymentStatus, serviceId, resource, q });
+
+    if (String(format).toLowerCase() === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="bookings-${start}-${end}.csv"`);
+      return res.status(200).send(toCSV(bookings));
+    }
+    return res.status(200).json({ start, end, count: bookings.length, bookings });
+  } catch (e) {
+    if (e?.expose) return res.status(500).json(e.expose);
+    console.error('[admin/bookings] error:', e);
+    return res.status(500).json({ error: 'list failed', detail: String(e?.message || e) });
+  }
+}
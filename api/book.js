@@ -1,134 +1,76 @@
 // api/book.js  (Vercel Node runtime, ESM)
-
-// 🔧 Fix: enable Day.js UTC plugin (needed for .utc())
-import dayjs from 'dayjs';
-import utc from 'dayjs/plugin/utc.js';
-dayjs.extend(utc);
-
-import { createDAVClient } from 'tsdav';
-
-export const config = { runtime: 'nodejs' };
-
-const {
-  ICLOUD_USERNAME,
-  ICLOUD_APP_PASSWORD,
-  BOOKINGS_CAL_NAME = 'Bookings',
-  BLACKOUTS_CAL_NAME = 'Blackouts',
-} = process.env;
-
-function cors(res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  res.setHeader('Cache-Control', 'no-store');
+//
+// Make a booking without going through checkout — studio tools and scripts. Not public:
+//   Authorization: Bearer <ADMIN_API_KEY>, or
+//   X-Internal-Signature (see _lib/internal.js), signed with INTERNAL_API_SECRET
+// Paid bookings don't come through here: the Stripe webhook books in-process (createBooking).
+import { isAdmin } from './_lib/auth.js';
+import { cors } from './_lib/cors.js';
+import { createBooking } from './_lib/bookings.js';
+import { readRawBody, verifyInternal, INTERNAL_SIGNATURE_HEADER, INTERNAL_REPLAY_TTL_SECONDS } from './_lib/internal.js';
+import { getKV } from './_lib/kv.js';
+import { linksConfigured, signBookingToken, manageUrl } from './_lib/tokens.js';
+
+// No body parsing: the signature is over the bytes the caller sent
+export const config = { runtime: 'nodejs', api: { bodyParser: false } };
+
+/* Response for a booking that exists (just made, or made by an earlier identical request) */
+function bookedResponse(booking, sessionId, extra = {}) {
+  // Customer self-service link (view / .ics / cancel / reschedule) for this booking
+  const token = linksConfigured() ? signBookingToken({ uid: booking.uid, sessionId }) : null;
+  return {
+    ok: true,
+    ...extra,
+    created: {
+      date: booking.date,
+      uid: booking.uid,
+      ...(!booking.allDay && { start: booking.startsAt, end: booking.endsAt }),
+      resource: booking.resource,
+    },
+    ...(token && { manage: { token, url: manageUrl(token) } }),
+  };
 }
 
-const requireEnv = () => {
-  if (!ICLOUD_USERNAME || !ICLOUD_APP_PASSWORD) {
-    throw new Error('Missing ICLOUD_USERNAME or ICLOUD_APP_PASSWORD');
+/* Admin, or a fresh internal signature seen for the first time → the parsed body; else an HTTP error */
+async function authorize(req) {
+  const raw = await readRawBody(req);
+  let body;
+  try {
+    body = raw ? JSON.parse(raw) : {};
+  } catch {
+    return { status: 400, body: { error: 'invalid JSON' } };
   }
-};
-
-// Build a simple all-day ICS event (local all-day date, UTC DTSTAMP)
-function buildICS({ uid, date, summary, note }) {
-  // `date` will be a Day.js object pointing to local midnight for that day
-  const dtStart = dayjs(date).format('YYYYMMDD');                 // all-day start (local)
-  const dtEnd   = dayjs(date).add(1, 'day').format('YYYYMMDD');   // all-day end (local next day)
-
-  // DTSTAMP must be in UTC per spec
-  const stamp = dayjs().utc().format('YYYYMMDDTHHmmss[Z]');
+  // An admin's body may come parsed already (a platform that ignores bodyParser); a signature can't
+  if (isAdmin(req)) return { body: raw || !req.body || typeof req.body !== 'object' ? body : req.body };
 
-  const desc = note
-    ? `DESCRIPTION:${String(note).replace(/\r?\n/g, '\\n')}`
-    : '';
+  const signed = verifyInternal(raw, req.headers?.[INTERNAL_SIGNATURE_HEADER]);
+  if (!signed) return { status: 401, body: { error: 'unauthorized' } };
 
-  return [
-    'BEGIN:VCALENDAR',
-    'VERSION:2.0',
-    'PRODID:-//609 Productions//Booking//EN',
-    'BEGIN:VEVENT',
-    `UID:${uid}`,
-    `DTSTAMP:${stamp}`,
-    `DTSTART;VALUE=DATE:${dtStart}`,
-    `DTEND;VALUE=DATE:${dtEnd}`,
-    `SUMMARY:${summary}`,
-    desc,
-    'END:VEVENT',
-    'END:VCALENDAR'
-  ].filter(Boolean).join('\r\n');
+  const fresh = await getKV().set(`internal:sig:${signed.v1}`, '1', { nx: true, ttlSeconds: INTERNAL_REPLAY_TTL_SECONDS });
+  if (!fresh) return { status: 409, body: { error: 'request already processed' } };
+  return { body };
 }
 
+// POST makes a new booking. PUT { uid, … } makes the booking with that UID exactly once:
+// repeating it returns the existing booking instead of a second one.
 export default async function handler(req, res) {
-  cors(res);
-  if (req.method === 'OPTIONS') return res.status(204).end();
-  if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
+  res.setHeader('Cache-Control', 'no-store');
+  if (cors(req, res, { methods: ['POST', 'PUT'] })) return;
+  if (req.method !== 'POST' && req.method !== 'PUT') return res.status(405).json({ error: 'POST or PUT only' });
 
   try {
-    requireEnv();
-
-    const { date, summary = '609 Booking', note = '' } = req.body || {};
-    if (!date) return res.status(400).json({ error: 'date required' });
-
-    // Parse the YYYY-MM-DD coming from the client as a local date (no time)
-    const d = dayjs(date, 'YYYY-MM-DD').startOf('day');
-    if (!d.isValid()) return res.status(400).json({ error: 'invalid date' });
-
-    // Connect to iCloud CalDAV
-    const client = await createDAVClient({
-      serverUrl: 'https://caldav.icloud.com',
-      credentials: { username: ICLOUD_USERNAME, password: ICLOUD_APP_PASSWORD },
-      authMethod: 'Basic',
-      defaultAccountType: 'caldav',
-    });
-
-    const calendars = await client.fetchCalendars();
-    const findCal = (name) =>
-      calendars.find(c => (c.displayName || '').toLowerCase() === String(name).toLowerCase());
-
-    const calBookings = findCal(BOOKINGS_CAL_NAME);
-    const calBlackouts = findCal(BLACKOUTS_CAL_NAME);
-
-    if (!calBookings || !calBlackouts) {
-      return res.status(500).json({
-        error: 'Calendars not found',
-        names: calendars.map(c => c.displayName),
-      });
-    }
-
-    // Capacity / blackout check for that local day
-    const timeRange = {
-      start: d.toDate().toISOString(),
-      end: d.add(1, 'day').toDate().toISOString(),
-    };
-
-    const [bookingObjs, blackoutObjs] = await Promise.all([
-      client.fetchCalendarObjects({ calendar: calBookings, timeRange }),
-      client.fetchCalendarObjects({ calendar: calBlackouts, timeRange }),
-    ]);
-
-    const bookedCount = bookingObjs?.length || 0;
-    const isBlackout = (blackoutObjs?.length || 0) > 0;
-
-    if (isBlackout || bookedCount >= 2) {
-      return res.status(409).json({ error: 'date not available', bookedCount, isBlackout });
-    }
-
-    // Create all-day booking
-    const uid = `${Date.now()}-${Math.random().toString(36).slice(2)}@609music`;
-    const ics = buildICS({ uid, date: d, summary, note });
+    const auth = await authorize(req);
+    if (auth.status) return res.status(auth.status).json(auth.body);
 
-    await client.createCalendarObject({
-      calendar: calBookings,
-      filename: `${uid}.ics`,
-      iCalString: ics,
-    });
+    const input = auth.body;
+    if (req.method === 'PUT' && !input.uid) return res.status(400).json({ error: 'uid required' });
 
-    return res.status(200).json({
-      ok: true,
-      created: { date: d.format('YYYY-MM-DD'), uid }
-    });
+    const { booking, existing } = await createBooking({ ...input, uid: req.method === 'PUT' ? input.uid : undefined });
+    return res.status(200).json(bookedResponse(booking, input.stripe?.sessionId, existing ? { existing: true } : {}));
   } catch (e) {
+    if (e?.body) return res.status(e.status).json(e.body);
     console.error('[book] error:', e);
+    if (e?.expose) return res.status(500).json(e.expose);
     return res.status(500).json({ error: 'book failed', detail: String(e?.message || e) });
   }
 }
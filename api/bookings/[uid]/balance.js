@@ -0,0 +1,26 @@
+// api/bookings/[uid]/balance.js  — POST (admin): Stripe Checkout link for the balance a
+// deposit booking still owes. The webhook marks the booking paid in full when it completes.
+import { isAdmin } from '../../_lib/auth.js';
+import { cors } from '../../_lib/cors.js';
+import { createBalanceCheckout } from '../../_lib/bookings.js';
+import { stripeConfigured } from '../../_lib/stripe.js';
+
+export const config = { runtime: 'nodejs' };
+
+export default async function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+  if (cors(req, res, { methods: ['POST'] })) return;
+  if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
+  if (!isAdmin(req)) return res.status(401).json({ error: 'unauthorized' });
+  if (!stripeConfigured()) return res.status(500).json({ error: 'STRIPE_SECRET_KEY not configured' });
+
+  try {
+    const checkout = await createBalanceCheckout(String(req.query.uid || ''));
+    return res.status(200).json({ ok: true, ...checkout });
+  } catch (e) {
+    if (e?.body) return res.status(e.status).json(e.body);
+    if (e?.expose) return res.status(500).json(e.expose);
+    console.error('[balance] error:', e);
+    return res.status(500).json({ error: 'balance checkout failed', detail: String(e?.message || e) });
+  }
+}
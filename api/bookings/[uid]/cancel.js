@@ -0,0 +1,34 @@
+// api/bookings/[uid]/cancel.js  — POST (admin): delete the booking, refund per policy
+//   body: { refund?: 'policy' | 'full' | 'none', etag? }   header: If-Match (optional)
+import { isAdmin } from '../../_lib/auth.js';
+import { cors } from '../../_lib/cors.js';
+import { cancelBooking } from '../../_lib/bookings.js';
+
+export const config = { runtime: 'nodejs' };
+
+const REFUND_MODES = ['policy', 'full', 'none'];
+
+export default async function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+  if (cors(req, res, { methods: ['POST'] })) return;
+  if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
+  if (!isAdmin(req)) return res.status(401).json({ error: 'unauthorized' });
+
+  try {
+    const { refund = 'policy', etag } = req.body || {};
+    if (!REFUND_MODES.includes(refund)) {
+      return res.status(400).json({ error: `refund must be one of ${REFUND_MODES.join(', ')}` });
+    }
+
+    const result = await cancelBooking(String(req.query.uid || ''), {
+      ifMatch: req.headers['if-match'] || etag,
+      refund,
+    });
+    return res.status(200).json({ ok: true, ...result });
+  } catch (e) {
+    if (e?.body) return res.status(e.status).json(e.body);
+    if (e?.expose) return res.status(500).json(e.expose);
+    console.error('[cancel] error:', e);
+    return res.status(500).json({ error: 'cancel failed', detail: String(e?.message || e) });
+  }
+}
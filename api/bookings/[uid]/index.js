@@ -0,0 +1,24 @@
+// api/bookings/[uid]/index.js  — GET one booking (admin); its ETag guards cancel/reschedule
+import { isAdmin } from '../../_lib/auth.js';
+import { cors } from '../../_lib/cors.js';
+import { findBooking } from '../../_lib/bookings.js';
+
+export const config = { runtime: 'nodejs' };
+
+export default async function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+  if (cors(req, res, { methods: ['GET'] })) return;
+  if (req.method !== 'GET') return res.status(405).json({ error: 'GET only' });
+  if (!isAdmin(req)) return res.status(401).json({ error: 'unauthorized' });
+
+  try {
+    const found = await findBooking(String(req.query.uid || ''));
+    if (!found?.booking) return res.status(404).json({ error: 'booking not found' });
+
+    if (found.obj.etag) res.setHeader('ETag', found.obj.etag);
+    return res.status(200).json({ booking: found.booking });
+  } catch (e) {
+    if (e?.expose) return res.status(500).json(e.expose);
+    return res.status(500).json({ error: 'lookup failed', detail: String(e?.message || e) });
+  }
+}
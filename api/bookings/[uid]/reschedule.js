@@ -0,0 +1,33 @@
+// api/bookings/[uid]/reschedule.js  — POST (admin): move a booking to a new date / time
+//   body: { date, start?, duration?, etag? }   header: If-Match (optional)
+import { isAdmin } from '../../_lib/auth.js';
+import { cors } from '../../_lib/cors.js';
+import { rescheduleBooking } from '../../_lib/bookings.js';
+
+export const config = { runtime: 'nodejs' };
+
+export default async function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+  if (cors(req, res, { methods: ['POST'] })) return;
+  if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
+  if (!isAdmin(req)) return res.status(401).json({ error: 'unauthorized' });
+
+  try {
+    const { date, start, duration, etag } = req.body || {};
+    if (!date) return res.status(400).json({ error: 'date required' });
+
+    const result = await rescheduleBooking(String(req.query.uid || ''), {
+      date,
+      start,
+      duration,
+      ifMatch: req.headers['if-match'] || etag,
+    });
+    if (result.to?.etag) res.setHeader('ETag', result.to.etag);
+    return res.status(200).json({ ok: true, ...result });
+  } catch (e) {
+    if (e?.body) return res.status(e.status).json(e.body);
+    if (e?.expose) return res.status(500).json(e.expose);
+    console.error('[reschedule] error:', e);
+    return res.status(500).json({ error: 'reschedule failed', detail: String(e?.message || e) });
+  }
+}
@@ -1,44 +1,15 @@
-// api/checkout.js
-export const config = { runtime: 'edge' }; // Edge is fast & simple
-
-// --- CORS helpers (inline) ---
-const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGIN || 'https://609music.com')
-  .split(',')
-  .map(s => s.trim())
-  .filter(Boolean);
-
-function pickOrigin(req) {
-  const incoming = req.headers.get('origin') || '';
-  return ALLOWED_ORIGINS.includes(incoming) ? incoming : ALLOWED_ORIGINS[0] || '*';
-}
-
-function corsJSON(req, data, status = 200, extraHeaders = {}) {
-  const allow = pickOrigin(req);
-  const body = typeof data === 'string' ? data : JSON.stringify(data);
-  return new Response(body, {
-    status,
-    headers: {
-      'content-type': 'application/json; charset=utf-8',
-      'access-control-allow-origin': allow,
-      'access-control-allow-headers': 'content-type',
-      'access-control-allow-methods': 'GET,POST,OPTIONS',
-      ...extraHeaders,
-    },
-  });
-}
-
-function corsPreflight(req) {
-  const allow = pickOrigin(req);
-  return new Response(null, {
-    status: 204,
-    headers: {
-      'access-control-allow-origin': allow,
-      'access-control-allow-headers': 'content-type',
-      'access-control-allow-methods': 'GET,POST,OPTIONS',
-      'access-control-max-age': '86400',
-    },
-  });
-}
+// api/checkout.js  (Vercel Node runtime, ESM)
+import { checkBooking } from './_lib/rules.js';
+import { placeHold, releaseHold, HOLD_MINUTES } from './_lib/holds.js';
+import { quote } from './_lib/catalog.js';
+import { applyCoupon, reserveCoupon, releaseCoupon, MIN_CHARGE } from './_lib/coupons.js';
+import { validateCustomer } from './_lib/customer.js';
+import { cors } from './_lib/cors.js';
+import { rateLimit, clientIp } from './_lib/ratelimit.js';
+import { checkHuman } from './_lib/botcheck.js';
+
+// Node (not Edge): the capacity re-check runs the shared calendar rules in-process
+export const config = { runtime: 'nodejs' };
 
 // --- Config / constants ---
 const STRIPE_KEY = process.env.STRIPE_SECRET_KEY;
@@ -46,107 +17,183 @@ const STRIPE_KEY = process.env.STRIPE_SECRET_KEY;
 // Where to send users back after Stripe
 const SITE_BASE = process.env.SITE_BASE || 'https://609music.com';
 
-// Internal API base (this deployment) for webhook metadata, etc.
-const INTERNAL_API_BASE = process.env.VERCEL_URL
-  ? `https://${process.env.VERCEL_URL}`
-  : 'http://localhost:3000'; // local dev
-
-// IMPORTANT: Use the same public base your browser uses for availability
-const PUBLIC_API_BASE =
-  process.env.PUBLIC_API_BASE || 'https://icloud-booking-api.vercel.app';
+// The note rides in Stripe metadata, whose values hold 500 characters
+const MAX_NOTE = 500;
 
-export default async function handler(req) {
-  // Handle CORS preflight
-  if (req.method === 'OPTIONS') return corsPreflight(req);
+export default async function handler(req, res) {
+  // Preflight, or a browser on a site that isn't ours
+  if (cors(req, res, { methods: ['POST'] })) return;
+  if (await rateLimit(req, res, 'checkout')) return;
 
   try {
     if (req.method !== 'POST') {
-      return corsJSON(req, { error: 'Method not allowed' }, 405);
+      return res.status(405).json({ error: 'Method not allowed' });
     }
 
-    const body = await req.json().catch(() => ({}));
-    const { date, summary, note, total /*, payMethod*/ } = body || {};
+    // Honeypot / Turnstile, when the page uses them — before anything reaches Stripe
+    const human = await checkHuman(req.body, clientIp(req));
+    if (!human.ok) return res.status(human.status).json({ error: human.error });
+
+    const {
+      serviceId, date, start, duration, addOns, note, coupon, customer: customerIn, answers: answersIn,
+      resource, payMode = 'full' /*, payMethod*/
+    } = req.body || {};
 
     // Basic validation
     if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return corsJSON(req, { error: 'Invalid or missing date' }, 400);
+      return res.status(400).json({ error: 'Invalid or missing date' });
     }
-    const amount = Math.round(Number(total || 0) * 100);
-    if (!amount || amount < 100) {
-      return corsJSON(req, { error: 'Invalid total amount' }, 400);
+    if (!serviceId) {
+      return res.status(400).json({ error: 'serviceId required' });
     }
-
-    // Re-check capacity (server-side) — call the same public endpoint the browser hits
-    const availURL = `${PUBLIC_API_BASE}/api/availability?start=${date}&end=${date}`;
-    const availRes = await fetch(availURL, { cache: 'no-store' });
-    let avail, rawText = '';
-    try {
-      rawText = await availRes.text();
-      avail = JSON.parse(rawText);
-    } catch {
-      // leave avail undefined for diagnostics
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({ error: 'note must be text' });
+    }
+    if (note && note.trim().length > MAX_NOTE) {
+      return res.status(400).json({ error: `note must be at most ${MAX_NOTE} characters` });
     }
 
-    const day = avail?.days?.[0];
+    // The price comes from the catalog (less any discount code), never from the page
+    let q = quote({ serviceId, date, start, duration, addOns });
+    if (!q.ok) {
+      return res.status(400).json({ error: 'Invalid service selection', detail: q.invalid });
+    }
+    if (coupon) {
+      const discounted = await applyCoupon(q, coupon);
+      if (discounted.ok === false) {
+        return res.status(400).json({ error: 'Invalid discount code', detail: discounted.invalid });
+      }
+      q = discounted;
+    }
+    // Who's booking + the service's intake questions (email can also come from Stripe)
+    const who = validateCustomer(customerIn, answersIn, { service: q.service, required: true });
+    if (!who.ok) {
+      return res.status(400).json({ error: 'Invalid customer details', detail: who.invalid });
+    }
+    const { customer, answers } = who;
 
-    // Helpful logging (visible in Vercel function logs)
-    console.log('[checkout] recheck', {
-      date,
-      status: availRes.status,
-      hasDays: Boolean(avail?.days?.length),
-    });
+    if (q.amount < MIN_CHARGE) {
+      return res.status(400).json({ error: 'Invalid total amount' });
+    }
+    const { summary } = q;
 
-    if (!availRes.ok) {
-      return corsJSON(req, {
-        error: 'Availability check failed upstream',
-        detail: { status: availRes.status, body: rawText?.slice(0, 400) || null, availURL }
-      }, 502);
+    // 'deposit': pay the service's non-refundable deposit now, the balance later
+    if (payMode !== 'full' && payMode !== 'deposit') {
+      return res.status(400).json({ error: "payMode must be 'full' or 'deposit'" });
+    }
+    const deposit = payMode === 'deposit';
+    if (deposit && !(q.deposit >= MIN_CHARGE)) {
+      return res.status(400).json({ error: 'This service has no deposit option' });
+    }
+    const charge = deposit ? q.deposit : q.amount;
+
+    // Timed session? (start "HH:mm" + duration hours; otherwise a whole-day booking)
+    const timed = !q.allDay;
+
+    // Re-check capacity (server-side) with the same rules /api/availability and createBooking use
+    const request = {
+      date, start: timed ? q.start : undefined, duration: timed ? q.duration : undefined, serviceId: q.service.id, resource,
+    };
+    const check = await checkBooking(request);
+    if (check.invalid) {
+      return res.status(400).json({ error: 'Invalid start time or duration', detail: check.invalid });
     }
 
-    // Trust the 'available' flag if present; otherwise fall back to blackout/capacity logic
-    const isAvailable =
-      day?.available === true ||
-      (!!day && day.blackout === false && Number(day.bookedCount || 0) <= 1);
+    // Helpful logging (visible in Vercel function logs)
+    console.log('[checkout] recheck', { date, start, ok: check.ok, reason: check.reason });
 
-    if (!day || !isAvailable) {
-      return corsJSON(req, {
-        error: 'Selected date is not available',
+    if (!check.ok) {
+      return res.status(409).json({
+        error: timed ? 'Selected time is not available' : 'Selected date is not available',
         detail: {
-          reason: !day ? 'no-day' : (day.blackout ? 'blackout' : `capacity:${day.bookedCount}`),
-          day,
+          reason: check.reason,
+          day: check.status,
           checkedAt: new Date().toISOString(),
-          availURL
         }
-      }, 409);
+      });
     }
 
     if (!STRIPE_KEY) {
-      return corsJSON(req, { error: 'STRIPE_SECRET_KEY not configured' }, 500);
+      return res.status(500).json({ error: 'STRIPE_SECRET_KEY not configured' });
+    }
+
+    // Take a use of the code now, so checkouts open at the same time can't pass maxUses together;
+    // the webhook gives it back if the session expires unpaid
+    if (q.coupon && !(await reserveCoupon(q.coupon.code))) {
+      return res.status(400).json({ error: 'Invalid discount code', detail: 'code fully redeemed' });
+    }
+    const unreserve = () => (q.coupon ? releaseCoupon(q.coupon.code).catch(() => {}) : null);
+
+    // Reserve the date/slot while the customer pays; expires with the Stripe session
+    const hold = await placeHold(check, request, { summary });
+    if (!hold.ok) {
+      await unreserve();
+      return res.status(409).json({
+        error: 'Selected slot was just taken',
+        detail: { reason: hold.reason, day: hold.status, checkedAt: new Date().toISOString() }
+      });
     }
 
+    // The session ends with the hold (placeHold adds a few minutes' grace on top)
+    const expiresAt = Math.floor(Date.now() / 1000) + HOLD_MINUTES * 60;
+
     // Stripe Checkout session (Apple/Google Pay ride with 'card')
     const methods = ['card', 'link', 'cashapp'];
 
-    const successUrl = `${SITE_BASE}/services.html?paid=1&date=${encodeURIComponent(date)}`;
+    // {CHECKOUT_SESSION_ID} is filled in by Stripe; the page trades it for a manage link
+    const successUrl = `${SITE_BASE}/services.html?paid=1&date=${encodeURIComponent(date)}&session_id={CHECKOUT_SESSION_ID}`;
     const cancelUrl  = `${SITE_BASE}/services.html?canceled=1&date=${encodeURIComponent(date)}`;
 
     const form = new URLSearchParams({
       mode: 'payment',
       success_url: successUrl,
       cancel_url: cancelUrl,
-      'line_items[0][price_data][currency]': 'usd',
-      'line_items[0][price_data][product_data][name]': summary || 'Music Service Booking',
-      'line_items[0][price_data][unit_amount]': String(amount),
-      'line_items[0][quantity]': '1',
-      // Metadata for webhook → /api/book
+      // Metadata for the webhook → createBooking
       'metadata[date]': date,
-      'metadata[summary]': summary || '',
-      'metadata[note]': note || '',
-      'metadata[apiBase]': INTERNAL_API_BASE, // webhook will call back here
+      'metadata[start]': timed ? q.start : '',
+      'metadata[duration]': timed ? String(q.duration) : '',
+      'metadata[summary]': summary,
+      'metadata[note]': note ? note.trim() : '',
+      'metadata[service_id]': q.service.id,
+      'metadata[resource]': hold.resource,      // room / engineer the hold is on
+      'metadata[add_ons]': q.addOns.join(','),
+      'metadata[kind]': 'booking',
+      'metadata[pay_mode]': payMode,
+      'metadata[amount_total]': String(q.amount),   // full price; the session charges `charge`
+      'metadata[customer_name]': customer.name,
+      'metadata[customer_email]': customer.email || '',
+      'metadata[customer_phone]': customer.phone || '',
+      'metadata[customer_artist]': customer.artist || '',
+      'metadata[intake]': Object.keys(answers).length ? JSON.stringify(answers) : '',
+      'metadata[coupon]': q.coupon?.code || '',
+      'metadata[discount]': q.coupon ? String(q.coupon.discount) : '',
+      'metadata[coupon_reserved]': q.coupon ? '1' : '',
+      'payment_intent_data[metadata][kind]': deposit ? 'deposit' : 'booking',
+      'payment_intent_data[metadata][amount_total]': String(q.amount),
+      'metadata[hold_uid]': hold.uid,         // webhook confirms / releases this hold
+      expires_at: String(expiresAt),
       customer_creation: 'always',
       billing_address_collection: 'auto',
       allow_promotion_codes: 'false',
     });
+    if (customer.email) form.set('customer_email', customer.email);
+
+    // One line per catalog line (session, surcharges, add-ons) so the receipt shows the breakdown.
+    // A deposit is a single line, and so is a discounted booking (Stripe lines can't be negative)
+    // with the breakdown in its description.
+    const breakdown = q.lines.map(l => `${l.label}: ${(l.amount / 100).toFixed(2)}`).join(' · ');
+    const lines = deposit
+      ? [{ label: `Deposit — ${summary} (balance ${((q.amount - charge) / 100).toFixed(2)} ${q.currency.toUpperCase()} due later)`, amount: charge }]
+      : q.coupon
+        ? [{ label: summary, description: breakdown, amount: charge }]
+        : q.lines.filter(line => line.amount > 0);
+    lines.forEach((line, i) => {
+      form.set(`line_items[${i}][price_data][currency]`, q.currency);
+      form.set(`line_items[${i}][price_data][product_data][name]`, line.label);
+      if (line.description) form.set(`line_items[${i}][price_data][product_data][description]`, line.description);
+      form.set(`line_items[${i}][price_data][unit_amount]`, String(line.amount));
+      form.set(`line_items[${i}][quantity]`, '1');
+    });
 
     const createRes = await fetch('https://api.stripe.com/v1/checkout/sessions', {
       method: 'POST',
@@ -155,15 +202,27 @@ export default async function handler(req) {
         'Content-Type': 'application/x-www-form-urlencoded',
       },
       body: form,
-    });
+    }).catch(() => null);
 
-    const session = await createRes.json().catch(() => ({}));
-    if (!createRes.ok || !session?.url) {
-      return corsJSON(req, { error: session?.error?.message || 'Stripe session failed' }, 500);
+    const session = createRes ? await createRes.json().catch(() => ({})) : {};
+    if (!createRes?.ok || !session?.url) {
+      await releaseHold(hold.uid, { cals: check.cals }).catch(() => {});
+      await unreserve();
+      return res.status(500).json({ error: session?.error?.message || 'Stripe session failed' });
     }
 
-    return corsJSON(req, { url: session.url }, 200);
+    return res.status(200).json({
+      url: session.url,
+      heldUntil: new Date((session.expires_at || expiresAt) * 1000).toISOString(),
+      amount: q.amount,
+      charged: charge,
+      amountDue: q.amount - charge,
+      currency: q.currency,
+      resource: hold.resource,
+      ...(q.coupon && { coupon: q.coupon }),
+    });
   } catch (err) {
-    return corsJSON(req, { error: err?.message || 'Server error' }, 500);
+    if (err?.expose) return res.status(502).json({ error: 'Availability check failed', detail: err.expose });
+    return res.status(500).json({ error: err?.message || 'Server error' });
   }
 }
@@ -0,0 +1,49 @@
+// api/cron/reminders.js  — daily (vercel.json crons): remind customers REMINDER_DAYS ahead
+//   GET ?date=YYYY-MM-DD  (admin) sends for that studio day instead of today + REMINDER_DAYS
+import { isCron } from '../_lib/auth.js';
+import { openCalendars, fetchRange } from '../_lib/calendar.js';
+import { toBooking } from '../_lib/bookings.js';
+import { notify } from '../_lib/notify/index.js';
+import { getKV } from '../_lib/kv.js';
+import { addDays, dayBounds, dayKeyOf, toDayKey } from '../_lib/time.js';
+
+export const config = { runtime: 'nodejs' };
+
+const REMINDER_DAYS = Math.max(0, Number(process.env.REMINDER_DAYS ?? 2) || 0);
+
+export default async function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+  if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'GET or POST only' });
+  if (!isCron(req)) return res.status(401).json({ error: 'unauthorized' });
+
+  try {
+    const day = req.query?.date ? toDayKey(req.query.date) : addDays(dayKeyOf(new Date()), REMINDER_DAYS);
+    if (!day) return res.status(400).json({ error: 'invalid date' });
+
+    const cals = await openCalendars();
+    const { bookingObjs } = await fetchRange(cals, dayBounds(day));
+    const kv = getKV();
+
+    const results = [];
+    for (const obj of bookingObjs) {
+      const booking = toBooking(obj);
+      // Real bookings starting that day — not holds, cancelled ones or repeating series
+      if (!booking || booking.date !== day || booking.recurring) continue;
+      if (booking.status === 'TENTATIVE' || booking.status === 'CANCELLED') continue;
+
+      // Once per booking and day, however often the cron fires
+      const first = await kv.set(`reminder:${booking.uid}:${day}`, true, { nx: true, ttlSeconds: 7 * 24 * 60 * 60 });
+      if (!first) continue;
+
+      const result = await notify('reminder', booking, { days: REMINDER_DAYS });
+      if (result.error) await kv.del(`reminder:${booking.uid}:${day}`); // try again next run
+      results.push({ uid: booking.uid, ...result });
+    }
+
+    return res.status(200).json({ ok: true, date: day, reminders: results });
+  } catch (e) {
+    if (e?.expose) return res.status(500).json(e.expose);
+    console.error('[reminders] error:', e);
+    return res.status(500).json({ error: 'reminders failed', detail: String(e?.message || e) });
+  }
+}
@@ -1,6 +1,8 @@
 export const config = { runtime: 'nodejs' };
 import fs from 'node:fs/promises';
+import { cors } from './_lib/cors.js';
 export default async function handler(req, res) {
+  if (cors(req, res, { methods: ['GET'] })) return;
   try {
     const text = await fs.readFile(process.cwd() + '/package.json', 'utf8');
     res.setHeader('Content-Type', 'text/plain; charset=utf-8');
@@ -0,0 +1,185 @@
+// api/manage.js  — customer self-service for one booking, authorised by a signed link token
+//
+//   GET  ?token=…               booking details + what the customer may do
+//   GET  ?token=…&format=ics    the booking as an .ics download
+//   GET  ?session_id=cs_…       after Stripe redirects back: trade the paid session for a token
+//   POST { token, action: 'cancel' }                           cancel (refund per CANCEL_POLICY)
+//   POST { token, action: 'reschedule', date, start? }          same length; start only for timed bookings
+//
+// Only before the session: a reschedule also needs BOOKING_RULES' minNoticeHours to go, and a
+// customer gets MANAGE_RESCHEDULE_LIMIT (2) of them per booking.
+//   POST { token, action: 'pay-balance' }                     Checkout link for what a deposit booking owes
+import { buildICS } from './_lib/ics.js';
+import {
+  findBooking, cancelBooking, rescheduleBooking, refundQuote, createBalanceCheckout,
+} from './_lib/bookings.js';
+import { verifyBookingToken, signBookingToken, manageUrl, linksConfigured } from './_lib/tokens.js';
+import { stripeRequest } from './_lib/stripe.js';
+import { getResource, resourceView } from './_lib/resources.js';
+import { cors } from './_lib/cors.js';
+import { rateLimit } from './_lib/ratelimit.js';
+import { RULES } from './_lib/rules.js';
+
+export const config = { runtime: 'nodejs' };
+
+const RESCHEDULE_LIMIT = process.env.MANAGE_RESCHEDULE_LIMIT === undefined
+  ? 2
+  : Number(process.env.MANAGE_RESCHEDULE_LIMIT) || 0;
+const HOUR = 60 * 60 * 1000;
+
+/* Why the customer can't `action` the booking now, or null */
+function refusal(booking, action, now = new Date()) {
+  const startsIn = new Date(booking.startsAt).getTime() - now.getTime();
+  if (startsIn <= 0) return 'the booking has already started';
+  if (action !== 'reschedule') return null;
+  if (booking.recurring) return 'recurring bookings cannot be rescheduled';
+  if (startsIn < RULES.minNoticeHours * HOUR) return `reschedule at least ${RULES.minNoticeHours}h before the session`;
+  if (booking.customerReschedules >= RESCHEDULE_LIMIT) return 'this booking cannot be rescheduled again';
+  return null;
+}
+
+/* What the link holder gets to see (no payment internals) */
+function publicView(booking) {
+  const resource = getResource(booking.resource);
+  return {
+    uid: booking.uid,
+    summary: booking.summary,
+    status: booking.status,
+    date: booking.date,
+    allDay: booking.allDay,
+    ...(!booking.allDay && { start: booking.start, end: booking.end }),
+    startsAt: booking.startsAt,
+    endsAt: booking.endsAt,
+    // Which room / engineer (name only — calendars stay private)
+    resource: resource ? resourceView(resource) : null,
+    customer: booking.customer,
+    payment: {
+      status: booking.payment.status,
+      amountPaid: booking.payment.amountPaid,
+      amountTotal: booking.payment.amountTotal,
+      amountDue: booking.payment.amountDue,
+    },
+  };
+}
+
+/* Token → booking, or an HTTP error */
+async function resolve(token) {
+  const claims = verifyBookingToken(token);
+  if (!claims) return { status: 401, body: { error: 'invalid or expired link' } };
+
+  const found = await findBooking(claims.uid);
+  if (!found?.booking) return { status: 404, body: { error: 'booking not found' } };
+
+  // The link belongs to the payment that made this booking
+  const paidWith = found.booking.payment.sessionId;
+  if (claims.sessionId && paidWith && claims.sessionId !== paidWith) {
+    return { status: 401, body: { error: 'invalid or expired link' } };
+  }
+  return { claims, ...found };
+}
+
+/* Stripe success redirect: session id → manage token for the booking it paid for */
+async function fromSession(sessionId, res) {
+  const sess = await stripeRequest(
+    `checkout/sessions/${encodeURIComponent(sessionId)}?expand[]=payment_intent`
+  );
+  if (sess.payment_status !== 'paid') {
+    return res.status(409).json({ error: 'payment not completed', paymentStatus: sess.payment_status });
+  }
+
+  const uid = sess.payment_intent?.metadata?.booking_uid;
+  // The webhook may not have run yet — the page should retry shortly
+  if (!uid) return res.status(202).json({ pending: true });
+
+  const token = signBookingToken({ uid, sessionId: sess.id });
+  return res.status(200).json({ token, url: manageUrl(token) });
+}
+
+export default async function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+  if (cors(req, res, { methods: ['GET', 'POST'] })) return;
+  if (await rateLimit(req, res, 'manage')) return;
+  if (!linksConfigured()) return res.status(500).json({ error: 'BOOKING_LINK_SECRET not configured' });
+
+  try {
+    if (req.method === 'GET') {
+      const { token, format, session_id: sessionId } = req.query || {};
+      if (!token && sessionId) return fromSession(String(sessionId), res);
+
+      const r = await resolve(token);
+      if (!r.booking) return res.status(r.status).json(r.body);
+      const { booking } = r;
+
+      if (String(format).toLowerCase() === 'ics') {
+        const ics = buildICS({
+          uid: booking.uid,
+          date: booking.date,
+          ...(!booking.allDay && { start: new Date(booking.startsAt), end: new Date(booking.endsAt) }),
+          summary: booking.summary,
+        });
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Content-Disposition', 'attachment; filename="booking.ics"');
+        return res.status(200).send(ics);
+      }
+
+      return res.status(200).json({
+        booking: publicView(booking),
+        expiresAt: r.claims.expiresAt,
+        actions: {
+          // What cancelling now gives back: { amount, percent } of what was paid (null: Stripe unreachable).
+          // Not while a bank payment is still clearing (see POST)
+          cancel: booking.payment.status === 'pending'
+            ? null
+            : { refund: await refundQuote(booking).catch(() => null) },
+          reschedule: !refusal(booking, 'reschedule'),
+          payBalance: booking.payment.amountDue > 0,
+        },
+      });
+    }
+
+    if (req.method === 'POST') {
+      const { token, action, date, start, duration } = req.body || {};
+      const r = await resolve(token || req.query?.token);
+      if (!r.booking) return res.status(r.status).json(r.body);
+
+      if (action === 'cancel' || action === 'reschedule') {
+        const refused = refusal(r.booking, action);
+        if (refused) return res.status(409).json({ error: refused });
+      }
+
+      if (action === 'cancel') {
+        // Nothing to refund yet, and the webhook would book it again once the money arrives
+        if (r.booking.payment.status === 'pending') {
+          return res.status(409).json({ error: 'payment still pending — cancel once it has cleared' });
+        }
+        const result = await cancelBooking(r.booking.uid, { ifMatch: r.obj.etag, refund: 'policy' });
+        return res.status(200).json({
+          ok: true,
+          cancelled: publicView(result.cancelled),
+          refund: { status: result.refund.status, amount: result.refund.amount || 0 },
+        });
+      }
+
+      if (action === 'reschedule') {
+        if (!date) return res.status(400).json({ error: 'date required' });
+        const result = await rescheduleBooking(r.booking.uid, {
+          date, start, duration, ifMatch: r.obj.etag, keepLength: true,
+        });
+        return res.status(200).json({ ok: true, booking: publicView(result.to) });
+      }
+
+      if (action === 'pay-balance') {
+        const checkout = await createBalanceCheckout(r.booking.uid);
+        return res.status(200).json({ ok: true, url: checkout.url, amountDue: checkout.amountDue, currency: checkout.currency });
+      }
+
+      return res.status(400).json({ error: "action must be 'cancel', 'reschedule' or 'pay-balance'" });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    if (e?.body) return res.status(e.status).json(e.body);
+    console.error('[manage] error:', e);
+    return res.status(500).json({ error: 'manage failed' });
+  }
+}
@@ -1,7 +1,10 @@
+import { cors } from './_lib/cors.js';
+
 export default function handler(req, res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
+  if (cors(req, res, { methods: ['GET'] })) return;
   res.status(200).json({
     ok: true,
+    backend: process.env.CALENDAR_BACKEND || 'caldav',
     hasEnv: {
       user: !!process.env.ICLOUD_USERNAME,
       pass: !!process.env.ICLOUD_APP_PASSWORD
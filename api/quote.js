@@ -0,0 +1,40 @@
+// api/quote.js  — price a booking (and check a discount code) before checkout
+//   POST { serviceId, date, start?, duration?, addOns?, coupon? }
+// Same pricing /api/checkout charges. A code that doesn't apply comes back as
+// coupon: { code, applied: false, reason } next to the undiscounted price.
+import { quote, quoteView } from './_lib/catalog.js';
+import { applyCoupon } from './_lib/coupons.js';
+import { cors } from './_lib/cors.js';
+import { rateLimit } from './_lib/ratelimit.js';
+
+export const config = { runtime: 'nodejs' };
+
+export default async function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+  if (cors(req, res, { methods: ['POST'] })) return;
+  if (await rateLimit(req, res, 'quote')) return;
+  if (req.method !== 'POST') return res.status(405).json({ error: 'POST only' });
+
+  try {
+    const { serviceId, date, start, duration, addOns, coupon } = req.body || {};
+    const q = quote({ serviceId, date, start, duration, addOns });
+    if (!q.ok) return res.status(400).json({ error: q.invalid });
+
+    if (!coupon) return res.status(200).json(quoteView(q));
+
+    const discounted = await applyCoupon(q, coupon);
+    if (discounted.ok === false) {
+      return res.status(200).json({
+        ...quoteView(q),
+        coupon: { code: String(coupon).trim().toUpperCase(), applied: false, reason: discounted.invalid },
+      });
+    }
+    return res.status(200).json({
+      ...quoteView(discounted),
+      coupon: { ...discounted.coupon, applied: true },
+    });
+  } catch (e) {
+    console.error('[quote] error:', e);
+    return res.status(500).json({ error: 'quote failed' });
+  }
+}
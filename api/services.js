@@ -0,0 +1,26 @@
+// api/services.js  — the service catalog the site renders (prices in whole currency units)
+import { CATALOG, quote, quoteView } from './_lib/catalog.js';
+import { RESOURCES, resourceView } from './_lib/resources.js';
+import { cors } from './_lib/cors.js';
+import { rateLimit } from './_lib/ratelimit.js';
+
+export const config = { runtime: 'nodejs' };
+
+export default async function handler(req, res) {
+  if (cors(req, res, { methods: ['GET'] })) return;
+  if (await rateLimit(req, res, 'services')) return;
+  if (req.method !== 'GET') return res.status(405).json({ error: 'GET only' });
+
+  // ?serviceId=&date=&start=&duration=&addOns=a,b → price breakdown for that choice
+  const { serviceId } = req.query || {};
+  if (serviceId) {
+    const q = quote(req.query);
+    if (!q.ok) return res.status(400).json({ error: q.invalid });
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json(quoteView(q));
+  }
+
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  // Rooms / engineers to pick from (only worth showing when there's more than one)
+  return res.status(200).json({ ...CATALOG, resources: RESOURCES.map(resourceView) });
+}
@@ -1,12 +1,45 @@
-// api/stripe-webhook.js
-export const config = { runtime: 'edge' };
+// api/stripe-webhook.js  (Vercel Node runtime, ESM)
+//
+// Stripe delivers at least once and retries anything that isn't a 2xx, so every step is
+// safe to repeat: processed event ids are remembered in KV, the booking UID comes from the
+// Checkout Session (createBooking makes it once), and refunds carry an idempotency key.
+// A failure we can't resolve answers 500 so Stripe tries again later.
+//
+// Events (enable them on the endpoint in the Stripe dashboard):
+//   checkout.session.completed               book (or, for a delayed method, hold as "[Payment pending]")
+//   checkout.session.async_payment_succeeded  pending booking → paid
+//   checkout.session.async_payment_failed     pending booking → CANCELLED "[Payment failed]"
+//   checkout.session.expired                  release the checkout hold and the code's reserved use
+//   charge.refunded                           refunds made in the dashboard → amounts / CANCELLED "[Refunded]"
+//   charge.dispute.created / .closed          "[Disputed]" → restored, or CANCELLED "[Dispute lost]"
+import { createRefund, stripeRequest } from './_lib/stripe.js';
+import { releaseHold } from './_lib/holds.js';
+import { bookingUidForSession } from './_lib/calendar.js';
+import {
+  createBooking, recordBalancePayment, findBooking, setPaymentState, bookingUidForPayment, PAYMENT_LABELS,
+} from './_lib/bookings.js';
+import { redeemCoupon, releaseCoupon } from './_lib/coupons.js';
+import { validateCustomer } from './_lib/customer.js';
+import { readRawBody } from './_lib/internal.js';
+import { getKV } from './_lib/kv.js';
+import { notify } from './_lib/notify/index.js';
+import { parseStartTime, parseDuration } from './_lib/slots.js';
+import { formatTime } from './_lib/time.js';
+import { linksConfigured, signBookingToken, manageUrl } from './_lib/tokens.js';
+
+// Node (not Edge): booking and hold release run the shared calendar code in-process.
+// No body parsing: the signature is over the bytes Stripe sent, which a parsed body loses.
+export const config = { runtime: 'nodejs', api: { bodyParser: false } };
 
 const STRIPE_KEY = process.env.STRIPE_SECRET_KEY;
 const WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
 
-// Minimal HMAC verify for Stripe signature (Edge-compatible)
-async function verifyStripeSignature(request, secret) {
-  const sig = request.headers.get('stripe-signature');
+// Stripe stops retrying an event after 3 days; keep ids well past that
+const EVENT_TTL_SECONDS = 30 * 24 * 60 * 60;
+const eventKey = (id) => `stripe:event:${id}`;
+
+// Minimal HMAC verify for Stripe signature (WebCrypto)
+async function verifyStripeSignature(raw, sig, secret) {
   if (!sig) throw new Error('Missing Stripe signature');
 
   // Stripe header: t=timestamp,v1=signature,...
@@ -15,7 +48,6 @@ async function verifyStripeSignature(request, secret) {
   const v1 = parts.v1;
   if (!timestamp || !v1) throw new Error('Invalid signature header');
 
-  const raw = await request.text();
   const enc = new TextEncoder();
 
   const key = await crypto.subtle.importKey(
@@ -38,92 +70,316 @@ async function verifyStripeSignature(request, secret) {
   return JSON.parse(raw);
 }
 
-export default async function handler(req) {
+const refundKey = (sess) => `refund-${sess.id}`;
+
+// What a booking's payment status goes back to once nothing is wrong with it
+function settledStatus({ payment }) {
+  if (payment.refunded.payment || payment.refunded.balance) return 'partially-refunded';
+  return payment.amountDue ? 'deposit' : 'paid';
+}
+
+/* What the session would have booked, shaped like a booking (for the "sorry, refunded" email) */
+function unbooked(uid, { date, start, duration, summary }, customer) {
+  const startAt = start ? parseStartTime(date, start) : null;
+  const minutes = parseDuration(duration);
+  if (!startAt || !minutes) return { uid, date, allDay: true, summary, customer };
+  const endAt = new Date(startAt.getTime() + minutes * 60 * 1000);
+  return {
+    uid, date, allDay: false, summary, customer,
+    start: formatTime(startAt), end: formatTime(endAt),
+    startsAt: startAt.toISOString(), endsAt: endAt.toISOString(),
+  };
+}
+
+/* Create (or find) the booking a Checkout Session paid for → [status, body].
+   `pending`: the money hasn't settled yet (delayed payment method) — hold the slot meanwhile. */
+async function bookSession(sess, { pending = false }) {
+  const meta = sess.metadata ?? {};
+
+  const date = meta.date;
+  const start = meta.start || '';       // "HH:mm" for timed sessions
+  const duration = meta.duration || '';
+  const summary = meta.summary || 'Music Service Booking';
+  const note = meta.note || '';
+  const holdUid = meta.hold_uid || undefined; // placed by /api/checkout
+  const serviceId = meta.service_id || undefined;
+  const resource = meta.resource || undefined; // where the hold is — the booking goes there too
+  const addOns = meta.add_ons || '';
+  // Details from the booking form (checked by /api/checkout); Stripe fills in what the
+  // customer typed at checkout — unless that wouldn't pass createBooking, which must not refund for it
+  const fromForm = {
+    name: meta.customer_name || undefined,
+    email: meta.customer_email || undefined,
+    phone: meta.customer_phone || undefined,
+    artist: meta.customer_artist || undefined,
+  };
+  const details = sess.customer_details ?? {};
+  const withStripe = {
+    ...fromForm,
+    name: fromForm.name || details.name || undefined,
+    email: fromForm.email || details.email || undefined,
+    phone: fromForm.phone || details.phone || undefined,
+  };
+  const customer = validateCustomer(withStripe).ok ? withStripe : fromForm;
+  let answers = {};
+  try {
+    answers = meta.intake ? JSON.parse(meta.intake) : {};
+  } catch { /* not ours */ }
+  const coupon = meta.coupon ? { code: meta.coupon, discount: Number(meta.discount) || 0 } : undefined;
+  const couponReserved = meta.coupon_reserved === '1'; // checkout already took the use
+  const deposit = meta.pay_mode === 'deposit';
+  const amountTotal = Number(meta.amount_total) || sess.amount_total;
+
+  if (!date) {
+    return ['invalid', { error: 'Missing date in metadata' }];
+  }
+
+  const uid = bookingUidForSession(sess.id);
+
+  // Create the calendar event — createBooking re-checks capacity with the same rules as
+  // availability (our hold doesn't count) and is a no-op if `uid` exists
+  let made;
+  try {
+    made = await createBooking({
+      uid,
+      ...(start ? { date, start, duration } : { date }),
+      summary,
+      note,
+      holdUid,
+      serviceId,
+      resource,
+      addOns,
+      coupon,
+      customer,
+      answers,
+      stripe: {
+        sessionId: sess.id,
+        paymentIntent: sess.payment_intent,
+        amountPaid: sess.amount_total,
+        amountTotal,
+        deposit: deposit ? sess.amount_total : undefined,
+        pending,
+      },
+    });
+  } catch (e) {
+    // Anything but "slot went / can't be booked" is ours to fix: 500, Stripe retries
+    if (e?.status !== 409 && e?.status !== 400) throw e;
+
+    // Give the money back, once
+    if (holdUid) await releaseHold(holdUid).catch(() => {});
+    if (coupon && couponReserved) await releaseCoupon(coupon.code, sess.id);
+    const reason = e.body?.reason || e.body?.error;
+    if (sess.payment_intent && !pending) {
+      await createRefund(sess.payment_intent, undefined, { idempotencyKey: refundKey(sess) });
+      await notify('refunded', unbooked(uid, { date, start, duration, summary }, customer), { reason });
+    }
+    return [pending ? 'not booked (no capacity)' : 'refunded (no capacity)', { reason }];
+  }
+
+  // The code was used (counted once per session, whatever the retries)
+  if (coupon) await redeemCoupon(coupon.code, sess.id, { reserved: couponReserved });
+
+  // First time through (not a retry), money settled: tell the customer and the studio
+  if (!made.existing && !pending) await notify('confirmed', made.booking);
+
+  // Remember which booking this payment made, so the success page can swap
+  // its ?session_id= for the customer's manage link (/api/manage?session_id=)
+  if (sess.payment_intent) {
+    await stripeRequest(`payment_intents/${encodeURIComponent(sess.payment_intent)}`, {
+      'metadata[booking_uid]': uid,
+      'metadata[amount_paid]': String(pending ? 0 : sess.amount_total),
+      'metadata[amount_outstanding]': String(Math.max(0, amountTotal - (pending ? 0 : sess.amount_total))),
+    }).catch(e => console.error('[webhook] tagging payment failed:', e?.message || e));
+  }
+
+  return [pending ? 'booked (payment pending)' : 'booked', {
+    uid,
+    existing: made.existing,
+    manageUrl: linksConfigured() ? manageUrl(signBookingToken({ uid, sessionId: sess.id })) : undefined,
+  }];
+}
+
+/* Balance of a deposit booking paid (session from /api/bookings/[uid]/balance) */
+async function recordBalance(sess) {
+  const uid = sess.metadata.booking_uid;
+  try {
+    const { booking } = await recordBalancePayment(uid, {
+      sessionId: sess.id,
+      paymentIntent: sess.payment_intent,
+      amount: sess.amount_total,
+    });
+    return ['balance recorded', { uid, payment: booking.payment }];
+  } catch (e) {
+    if (e?.status !== 404) throw e;
+    // Booking is gone (cancelled meanwhile) — don't keep the money
+    if (sess.payment_intent) {
+      await createRefund(sess.payment_intent, undefined, { idempotencyKey: refundKey(sess) });
+    }
+    return ['refunded (booking not found)', { uid }];
+  }
+}
+
+/* A delayed payment settled or failed */
+async function asyncPayment(sess, succeeded) {
+  if (sess.metadata?.kind === 'balance') {
+    return succeeded ? recordBalance(sess) : ['balance payment failed', { uid: sess.metadata.booking_uid }];
+  }
+
+  const uid = bookingUidForSession(sess.id);
+  const found = await findBooking(uid);
+  if (!found?.booking) {
+    // Never booked as pending (e.g. that event failed for good) — book now, or let the hold go
+    if (succeeded) return bookSession(sess, {});
+    const holdUid = sess.metadata?.hold_uid;
+    if (holdUid) await releaseHold(holdUid);
+    return ['payment failed (no booking)', { uid }];
+  }
+
+  if (!succeeded) {
+    const booking = await setPaymentState(uid, {
+      paymentStatus: 'failed', label: PAYMENT_LABELS.failed, cancelled: true,
+    });
+    return ['booking cancelled (payment failed)', { uid, booking }];
+  }
+
+  const paid = sess.amount_total;
+  const total = found.booking.payment.amountTotal ?? paid;
+  const booking = await setPaymentState(uid, {
+    paymentStatus: paid < total ? 'deposit' : 'paid',
+    label: null,
+    properties: { 'X-AMOUNT-PAID': paid },
+  });
+  if (sess.payment_intent) {
+    await stripeRequest(`payment_intents/${encodeURIComponent(sess.payment_intent)}`, {
+      'metadata[amount_paid]': String(paid),
+      'metadata[amount_outstanding]': String(Math.max(0, total - paid)),
+    }).catch(e => console.error('[webhook] tagging payment failed:', e?.message || e));
+  }
+  await notify('confirmed', booking);
+  return ['booking paid', { uid, booking }];
+}
+
+/* The booking a charge / dispute belongs to, or null */
+async function bookingForPayment(paymentIntent) {
+  const uid = await bookingUidForPayment(paymentIntent);
+  return uid ? findBooking(uid) : null;
+}
+
+/* Refund made outside the booking API (dashboard, Stripe support). `amount_refunded` is the
+   charge's running total, so repeats and out-of-order deliveries settle on the right figure. */
+async function chargeRefunded(charge) {
+  const found = await bookingForPayment(charge.payment_intent);
+  if (!found?.booking) return ['no booking', { paymentIntent: charge.payment_intent }];
+  const { booking } = found;
+
+  const isBalance = booking.payment.balance?.paymentIntent === charge.payment_intent;
+  const props = {
+    'X-AMOUNT-REFUNDED': isBalance ? booking.payment.refunded.payment : charge.amount_refunded,
+    'X-BALANCE-AMOUNT-REFUNDED': isBalance ? charge.amount_refunded : booking.payment.refunded.balance,
+  };
+  const refunded = Number(props['X-AMOUNT-REFUNDED'] || 0) + Number(props['X-BALANCE-AMOUNT-REFUNDED'] || 0);
+  // A pending booking has no payment recorded yet — then what was paid is this charge
+  const paid = booking.payment.amountPaid || Number(charge.amount) || 0;
+  const all = paid > 0 && refunded >= paid;
+
+  const updated = await setPaymentState(booking.uid, {
+    paymentStatus: all ? 'refunded' : 'partially-refunded',
+    label: all ? PAYMENT_LABELS.refunded : null,
+    ...(all && { cancelled: true }),
+    properties: props,
+  });
+  return [all ? 'booking cancelled (refunded)' : 'partial refund recorded', { uid: booking.uid, booking: updated }];
+}
+
+/* Chargebacks: flag the booking while open; a lost dispute cancels it */
+async function dispute(d, closed) {
+  const found = await bookingForPayment(d.payment_intent);
+  if (!found?.booking) return ['no booking', { paymentIntent: d.payment_intent }];
+  const { booking } = found;
+
+  if (!closed) {
+    const updated = await setPaymentState(booking.uid, { paymentStatus: 'disputed', label: PAYMENT_LABELS.disputed });
+    return ['booking flagged (disputed)', { uid: booking.uid, booking: updated }];
+  }
+  if (d.status === 'lost') {
+    const updated = await setPaymentState(booking.uid, {
+      paymentStatus: 'dispute-lost', label: PAYMENT_LABELS.disputeLost, cancelled: true,
+    });
+    return ['booking cancelled (dispute lost)', { uid: booking.uid, booking: updated }];
+  }
+  const updated = await setPaymentState(booking.uid, { paymentStatus: settledStatus(booking), label: null });
+  return [`dispute ${d.status}`, { uid: booking.uid, booking: updated }];
+}
+
+export default async function handler(req, res) {
   try {
     if (req.method !== 'POST') {
-      return new Response('Method Not Allowed', { status: 405 });
+      return res.status(405).send('Method Not Allowed');
     }
     if (!STRIPE_KEY || !WEBHOOK_SECRET) {
-      return new Response('Stripe not configured', { status: 500 });
+      return res.status(500).send('Stripe not configured');
     }
 
     // Verify & parse event
-    const event = await verifyStripeSignature(req, WEBHOOK_SECRET);
+    const raw = await readRawBody(req);
+    let event;
+    try {
+      event = await verifyStripeSignature(raw, req.headers['stripe-signature'], WEBHOOK_SECRET);
+    } catch (err) {
+      return res.status(400).json({ error: err?.message || 'Webhook error' });
+    }
 
-    if (event.type === 'checkout.session.completed') {
-      const sess = event.data.object ?? {};
-      const meta = sess.metadata ?? {};
+    // Already handled (a retry, or a duplicate delivery)
+    const kv = getKV();
+    const seen = event.id ? await kv.get(eventKey(event.id)) : null;
+    if (seen) return res.status(200).json({ duplicate: true, status: seen });
 
-      const date = meta.date;
-      const summary = meta.summary || 'Music Service Booking';
-      const note = meta.note || '';
+    const done = async ([status, body = {}]) => {
+      if (status === 'invalid') return res.status(400).json(body);
+      if (event.id) await kv.set(eventKey(event.id), status, { ttlSeconds: EVENT_TTL_SECONDS });
+      return res.status(200).json({ status, ...body });
+    };
 
-      if (!date) {
-        return new Response(JSON.stringify({ error: 'Missing date in metadata' }), {
-          status: 400,
-          headers: { 'content-type': 'application/json' }
-        });
-      }
+    const obj = event.data?.object ?? {};
 
-      // Build same-origin absolute URL so we NEVER hit a protected preview URL
-      const host = req.headers.get('host');
-      const baseURL = `https://${host}`;
-      const availabilityURL = `${baseURL}/api/availability?start=${date}&end=${date}`;
-      const bookURL = `${baseURL}/api/book`;
-
-      // Recheck capacity to avoid double-booking
-      const r = await fetch(availabilityURL, { cache: 'no-store' });
-      const avail = await r.json();
-      const day = avail?.days?.[0];
-
-      if (!day || day.blackout || day.bookedCount >= 2) {
-        // Optional: auto-refund if capacity gone
-        if (sess.payment_intent) {
-          await fetch('https://api.stripe.com/v1/refunds', {
-            method: 'POST',
-            headers: {
-              Authorization: `Bearer ${STRIPE_KEY}`,
-              'Content-Type': 'application/x-www-form-urlencoded'
-            },
-            body: new URLSearchParams({ payment_intent: String(sess.payment_intent) })
-          });
+    switch (event.type) {
+      case 'checkout.session.completed': {
+        // 'unpaid' = delayed method; the async_payment_* event follows
+        const pending = obj.payment_status === 'unpaid';
+        if (obj.metadata?.kind === 'balance') {
+          return done(pending ? ['balance payment pending', {}] : await recordBalance(obj));
         }
-        return new Response(JSON.stringify({
-          status: 'refunded (no capacity)',
-          checked: availabilityURL
-        }), { status: 200, headers: { 'content-type': 'application/json' } });
+        return done(await bookSession(obj, { pending }));
       }
+      case 'checkout.session.async_payment_succeeded':
+        return done(await asyncPayment(obj, true));
+      case 'checkout.session.async_payment_failed':
+        return done(await asyncPayment(obj, false));
 
-      // Create the calendar event via your own /api/book
-      const make = await fetch(bookURL, {
-        method: 'POST',
-        headers: { 'content-type': 'application/json' },
-        body: JSON.stringify({ date, summary, note })
-      });
-
-      if (!make.ok) {
-        return new Response(JSON.stringify({
-          status: 'paid but booking failed',
-          bookURL,
-          detail: await make.text()
-        }), { status: 200, headers: { 'content-type': 'application/json' } });
+      // Customer never paid: give the held slot and the discount code's use back
+      case 'checkout.session.expired': {
+        const holdUid = obj.metadata?.hold_uid;
+        const released = holdUid ? await releaseHold(holdUid) : false;
+        if (obj.metadata?.coupon && obj.metadata.coupon_reserved === '1') {
+          await releaseCoupon(obj.metadata.coupon, obj.id);
+        }
+        return done([released ? 'hold released' : 'no hold', { holdUid }]);
       }
 
-      return new Response(JSON.stringify({
-        status: 'booked',
-        bookURL
-      }), { status: 200, headers: { 'content-type': 'application/json' } });
-    }
+      case 'charge.refunded':
+        return done(await chargeRefunded(obj));
+      case 'charge.dispute.created':
+        return done(await dispute(obj, false));
+      case 'charge.dispute.closed':
+        return done(await dispute(obj, true));
 
-    // Acknowledge other events
-    return new Response(JSON.stringify({ received: true }), {
-      status: 200,
-      headers: { 'content-type': 'application/json' }
-    });
+      // Acknowledge other events
+      default:
+        return res.status(200).json({ received: true });
+    }
   } catch (err) {
-    return new Response(JSON.stringify({ error: err?.message || 'Webhook error' }), {
-      status: 400,
-      headers: { 'content-type': 'application/json' }
-    });
+    // Calendar, Stripe or KV trouble — let Stripe retry
+    console.error('[webhook] error:', err);
+    return res.status(500).json({ error: err?.message || 'Webhook error' });
   }
 }
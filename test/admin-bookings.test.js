@@ -0,0 +1,63 @@
+// test/admin-bookings.test.js  — the admin booking list and its CSV export
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.ADMIN_API_KEY = 'admin-key';
+process.env.NOTIFY_TRANSPORT = 'none';
+
+const { freshStudio, call } = await import('./helpers.js');
+const { default: list } = await import('../api/admin/bookings.js');
+const { createBooking } = await import('../api/_lib/bookings.js');
+const { addDays, dayKeyOf } = await import('../api/_lib/time.js');
+
+beforeEach(() => freshStudio());
+
+const admin = { authorization: 'Bearer admin-key' };
+const soon = addDays(dayKeyOf(new Date()), 3);
+
+async function book(date, customer = { name: 'Ana', email: 'ana@example.com' }) {
+  const { booking } = await createBooking({
+    date, start: '12:00', duration: 2, serviceId: 'rehearsal', summary: 'Rehearsal (2h)', customer,
+    stripe: { sessionId: `cs_${date}`, amountTotal: 7000, amountPaid: 7000 },
+  });
+  return booking;
+}
+
+test('admins only', async () => {
+  const res = await call(list, { query: { start: soon } });
+  assert.equal(res.code, 401);
+});
+
+test('with no query at all it lists the next month from today', async () => {
+  const booking = await book(soon);
+  await book(addDays(soon, 40));
+  const res = await call(list, { headers: admin, query: undefined });
+  assert.equal(res.code, 200);
+  assert.equal(res.body.start, dayKeyOf(new Date()));
+  assert.equal(res.body.end, addDays(dayKeyOf(new Date()), 30));
+  assert.deepEqual(res.body.bookings.map(b => b.uid), [booking.uid]);
+});
+
+test('a bad or oversized range is refused', async () => {
+  for (const query of [{ start: 'soon' }, { start: '2030-03-10', end: '2030-03-01' }]) {
+    const res = await call(list, { headers: admin, query });
+    assert.equal(res.code, 400);
+    assert.deepEqual(res.body, { error: 'invalid start/end' });
+  }
+  const res = await call(list, { headers: admin, query: { start: '2030-01-01', end: '2031-01-02' } });
+  assert.equal(res.code, 400);
+  assert.deepEqual(res.body, { error: 'at most 366 days at a time' });
+});
+
+test('the CSV export quotes cells and defuses formulas', async () => {
+  await book(soon, { name: '=HYPERLINK("x")', email: 'ana@example.com' });
+  const res = await call(list, { headers: admin, query: { start: soon, end: soon, format: 'CSV' } });
+  assert.equal(res.code, 200);
+  assert.equal(res.headers['content-type'], 'text/csv; charset=utf-8');
+  assert.equal(res.headers['content-disposition'], `attachment; filename="bookings-${soon}-${soon}.csv"`);
+  const [header, row] = res.body.trim().split('\r\n');
+  assert.ok(header.startsWith('uid,date,start,end,all_day,status'));
+  assert.ok(row.includes(`,${soon},12:00,14:00,,`));
+  assert.ok(row.includes(`,"'=HYPERLINK(""x"")",ana@example.com,`));
+  assert.ok(row.includes(',70.00,70.00,'));
+});
@@ -0,0 +1,99 @@
+// test/blackouts.test.js  — closing the studio for a day, a stretch, or on a repeating rule
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.ADMIN_API_KEY = 'admin-key';
+process.env.NOTIFY_TRANSPORT = 'none';
+delete process.env.BOOKING_RULES;
+
+const { freshStudio, call } = await import('./helpers.js');
+const { toRRule } = await import('../api/_lib/blackouts.js');
+const { default: blackouts } = await import('../api/admin/blackouts.js');
+const { checkBooking } = await import('../api/_lib/rules.js');
+const { createBooking } = await import('../api/_lib/bookings.js');
+const { openCalendars } = await import('../api/_lib/calendar.js');
+const { buildICS } = await import('../api/_lib/ics.js');
+
+beforeEach(() => freshStudio());
+
+const admin = { authorization: 'Bearer admin-key' };
+const close = (body) => call(blackouts, { method: 'POST', headers: admin, body });
+const list = (start, end) => call(blackouts, { headers: admin, query: { start, end } });
+const open = async (date) => (await checkBooking({ date, start: '12:00', duration: 2, serviceId: 'rehearsal' })).ok;
+
+test('repeat options become an RRULE, and bad ones are refused', () => {
+  assert.equal(toRRule({ freq: 'weekly', byDay: ['mon', 'Tu'] }), 'FREQ=WEEKLY;BYDAY=MO,TU');
+  assert.equal(toRRule({ freq: 'yearly', interval: 1, until: '2035-12-26' }), 'FREQ=YEARLY;UNTIL=20351226');
+  assert.equal(toRRule({ freq: 'daily', interval: 2, count: 5 }), 'FREQ=DAILY;INTERVAL=2;COUNT=5');
+  for (const [repeat, error] of [
+    [{ freq: 'hourly' }, 'repeat.freq must be one of daily, weekly, monthly, yearly'],
+    [{ freq: 'weekly', interval: 0 }, 'repeat.interval must be 1–52'],
+    [{ freq: 'weekly', byDay: ['xx'] }, 'repeat.byDay must be weekdays (mo, tu, …)'],
+    [{ freq: 'weekly', until: '2035-01-01', count: 3 }, 'repeat takes until or count, not both'],
+    [{ freq: 'weekly', count: 1001 }, 'repeat.count must be 1–1000'],
+  ]) {
+    assert.throws(() => toRRule(repeat), (e) => e.status === 400 && e.body.error === error);
+  }
+});
+
+test('a stretch of days closes them all and names the bookings already there', async () => {
+  const { booking } = await createBooking({
+    date: '2030-07-02', start: '12:00', duration: 2, serviceId: 'rehearsal', summary: 'Rehearsal (2h)', stripe: { sessionId: 'cs_1' },
+  });
+  const res = await close({ date: '2030-07-01', endDate: '2030-07-03', reason: 'Summer break' });
+  assert.equal(res.code, 201);
+  assert.deepEqual(res.body.conflicts, [booking.uid]);
+  const { blackout } = res.body;
+  assert.deepEqual([blackout.date, blackout.endDate, blackout.reason, blackout.allDay], ['2030-07-01', '2030-07-03', 'Summer break', true]);
+
+  assert.deepEqual(await Promise.all(['2030-06-30', '2030-07-01', '2030-07-03', '2030-07-04'].map(open)), [true, false, false, true]);
+  assert.equal((await checkBooking({ date: '2030-07-01', start: '12:00', duration: 2, serviceId: 'rehearsal' })).reason, 'blackout');
+});
+
+test('a repeating closure lists its days in the range asked for', async () => {
+  await close({ date: '2030-07-01', reason: 'Closed Mondays', repeat: { freq: 'weekly', byDay: 'mo', count: 10 } });
+  const res = await list('2030-07-01', '2030-07-31');
+  assert.equal(res.code, 200);
+  const [b] = res.body.blackouts;
+  assert.equal(b.rrule, 'FREQ=WEEKLY;COUNT=10;BYDAY=MO');
+  assert.deepEqual(b.occurrences.map(o => o.date), ['2030-07-01', '2030-07-08', '2030-07-15', '2030-07-22', '2030-07-29']);
+  assert.equal(await open('2030-07-08'), false);
+  assert.equal(await open('2030-07-09'), true);
+});
+
+test('bad closures are refused', async () => {
+  for (const [body, error] of [
+    [{ date: 'soon', reason: 'x' }, 'invalid date'],
+    [{ date: '2030-07-03', endDate: '2030-07-01', reason: 'x' }, 'invalid endDate'],
+    [{ date: '2030-07-01', endDate: '2031-07-02', reason: 'x' }, 'a blackout spans at most 366 days'],
+    [{ date: '2030-07-01', reason: '  ' }, 'reason required'],
+    [{ date: '2030-07-01', reason: 'x', resource: 'studio' }, 'resource has no blackouts calendar'],
+  ]) {
+    const res = await close(body);
+    assert.equal(res.code, 400);
+    assert.equal(res.body.error, error);
+  }
+  assert.equal((await call(blackouts, { method: 'POST', body: { date: '2030-07-01', reason: 'x' } })).code, 401);
+  assert.equal((await call(blackouts, { headers: admin, query: undefined })).code, 200);
+});
+
+test('reopening checks the ETag and finds closures added in a calendar app', async () => {
+  const { body } = await close({ date: '2030-07-01', reason: 'Holiday' });
+  const remove = (uid, etag) => call(blackouts, { method: 'DELETE', headers: { ...admin, ...(etag && { 'if-match': etag }) }, query: { uid } });
+
+  assert.equal((await remove(body.blackout.uid, '"stale"')).code, 412);
+  const removed = await remove(body.blackout.uid, body.blackout.etag);
+  assert.equal(removed.code, 200);
+  assert.equal(removed.body.removed.reason, 'Holiday');
+  assert.equal(await open('2030-07-01'), true);
+  assert.equal((await remove(body.blackout.uid)).code, 404);
+
+  // By hand: some other file name, and a UID of the app's own
+  const today = new Date();
+  const day = `${today.getUTCFullYear() + 1}-03-10`;
+  const cals = await openCalendars();
+  await cals.backend.createObject(cals.blackouts, { filename: 'from-the-app.ics', data: buildICS({ uid: 'APP-123', date: day, summary: 'Plumber' }) });
+  assert.equal(await open(day), false);
+  assert.equal((await remove('APP-123')).code, 200);
+  assert.equal(await open(day), true);
+});
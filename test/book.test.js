@@ -0,0 +1,73 @@
+// test/book.test.js  — who may book through /api/book: admins, and signed internal requests
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.CALENDAR_BACKEND = 'memory';
+process.env.NOTIFY_TRANSPORT = 'none';
+process.env.ADMIN_API_KEY = 'admin-key';
+process.env.INTERNAL_API_SECRET = 'internal-secret';
+
+const { freshStudio, call } = await import('./helpers.js');
+const { default: book } = await import('../api/book.js');
+const { signInternal, INTERNAL_SIGNATURE_HEADER } = await import('../api/_lib/internal.js');
+
+beforeEach(() => {
+  freshStudio();
+});
+
+// The body as bytes on the wire (bodyParser is off for this route)
+function streamed(method, raw, headers = {}) {
+  return { method, headers, async *[Symbol.asyncIterator]() { yield Buffer.from(raw); } };
+}
+
+const request = { date: '2030-06-04', start: '12:00', duration: 2, serviceId: 'rehearsal', summary: 'Rehearsal (2h)' };
+
+test('without an admin key or signature nobody books', async () => {
+  const res = await call(book, streamed('POST', JSON.stringify(request)));
+  assert.equal(res.code, 401);
+});
+
+test('an admin books, with the body parsed or not', async () => {
+  const auth = { authorization: 'Bearer admin-key' };
+  assert.equal((await call(book, streamed('POST', JSON.stringify(request), auth))).code, 200);
+  const parsed = await call(book, { method: 'POST', headers: auth, body: { ...request, date: '2030-06-05' } });
+  assert.equal(parsed.code, 200);
+  assert.equal(parsed.body.created.date, '2030-06-05');
+});
+
+test('a signed request books once; the same signature again is refused', async () => {
+  // Whitespace and key order are the sender's own: the signature covers exactly these bytes
+  const raw = JSON.stringify({ summary: request.summary, ...request }, null, 1);
+  const headers = { [INTERNAL_SIGNATURE_HEADER]: signInternal(raw) };
+  const res = await call(book, streamed('POST', raw, headers));
+  assert.equal(res.code, 200);
+  assert.equal(res.body.created.date, '2030-06-04');
+  assert.equal((await call(book, streamed('POST', raw, headers))).code, 409);
+});
+
+test('a changed body, an old signature or another secret fails', async () => {
+  const raw = JSON.stringify(request);
+  const changed = raw.replace('2030-06-04', '2030-06-05');
+  assert.equal((await call(book, streamed('POST', changed, { [INTERNAL_SIGNATURE_HEADER]: signInternal(raw) }))).code, 401);
+  const old = signInternal(raw, { now: Date.now() - 10 * 60 * 1000 });
+  assert.equal((await call(book, streamed('POST', raw, { [INTERNAL_SIGNATURE_HEADER]: old }))).code, 401);
+  const other = signInternal(raw, { secret: 'someone-else' });
+  assert.equal((await call(book, streamed('POST', raw, { [INTERNAL_SIGNATURE_HEADER]: other }))).code, 401);
+});
+
+test('a signed body re-serialised by a parser no longer verifies', async () => {
+  const raw = JSON.stringify(request, null, 2);
+  const res = await call(book, { method: 'POST', headers: { [INTERNAL_SIGNATURE_HEADER]: signInternal(raw) }, body: JSON.parse(raw) });
+  assert.equal(res.code, 401);
+});
+
+test('PUT with a uid books that uid exactly once', async () => {
+  const auth = { authorization: 'Bearer admin-key' };
+  const raw = JSON.stringify({ ...request, uid: 'fixed@609music' });
+  const first = await call(book, streamed('PUT', raw, auth));
+  assert.equal(first.code, 200);
+  const again = await call(book, streamed('PUT', raw, auth));
+  assert.equal(again.code, 200);
+  assert.equal(again.body.existing, true);
+  assert.equal(again.body.created.uid, 'fixed@609music');
+});
@@ -0,0 +1,107 @@
+// test/busy.test.js  — other calendars and feeds that take time away from the studio
+import { test, before, beforeEach, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'busy-'));
+const venueFile = path.join(dir, 'venue.ics');
+
+process.env.NOTIFY_TRANSPORT = 'none';
+delete process.env.BOOKING_RULES;
+process.env.BUSY_SOURCES = JSON.stringify([
+  { id: 'sam', calendar: 'Sam Personal' },
+  { id: 'venue', file: venueFile },
+  { id: 'feed', url: 'webcal://feeds.test/basic.ics' },
+]);
+
+const { freshStudio } = await import('./helpers.js');
+const { BUSY_SOURCES, busyCalendarNames, fetchBusy } = await import('../api/_lib/busy.js');
+const { checkBooking } = await import('../api/_lib/rules.js');
+const { openCalendars } = await import('../api/_lib/calendar.js');
+const { buildICS } = await import('../api/_lib/ics.js');
+const { dayBounds } = await import('../api/_lib/time.js');
+
+const calendar = (...events) => ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//test//EN', ...events.flat(), 'END:VCALENDAR'].join('\r\n');
+const vevent = (lines) => ['BEGIN:VEVENT', 'DTSTAMP:20300101T000000Z', ...lines, 'END:VEVENT'];
+
+// The feed is asked for once per cache period (shared by every test here)
+const feed = {
+  text: calendar(
+    vevent(['UID:free', 'DTSTART;VALUE=DATE:20300712', 'DTEND;VALUE=DATE:20300713', 'TRANSP:TRANSPARENT']),
+    vevent(['UID:off', 'DTSTART;VALUE=DATE:20300713', 'DTEND;VALUE=DATE:20300714', 'STATUS:CANCELLED']),
+    vevent(['UID:on', 'DTSTART;VALUE=DATE:20300714', 'DTEND;VALUE=DATE:20300715']),
+  ),
+  asked: 0,
+};
+const realFetch = globalThis.fetch;
+before(async () => {
+  await fs.writeFile(venueFile, calendar(vevent([
+    'UID:gig', 'SUMMARY:Private gig', 'DTSTART;VALUE=DATE:20300710', 'DTEND;VALUE=DATE:20300711',
+  ])));
+});
+beforeEach(() => {
+  freshStudio(['Bookings', 'Blackouts', 'Sam Personal']);
+  globalThis.fetch = async (url) => {
+    assert.equal(url, 'https://feeds.test/basic.ics');
+    feed.asked++;
+    return new Response(feed.text);
+  };
+});
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+const open = async (date, start = '12:00') => checkBooking({ date, start, duration: 2, serviceId: 'rehearsal' });
+
+test('sources are read from BUSY_SOURCES; CalDAV calendars by name', () => {
+  assert.deepEqual(BUSY_SOURCES.map(s => [s.id, s.kind, s.target]), [
+    ['sam', 'calendar', 'Sam Personal'],
+    ['venue', 'file', venueFile],
+    ['feed', 'url', 'https://feeds.test/basic.ics'],
+  ]);
+  assert.deepEqual(busyCalendarNames(), ['Sam Personal']);
+});
+
+test('a timed busy event blocks its hours only, and keeps no title', async () => {
+  const cals = await openCalendars();
+  const sam = cals.calendars.find(c => c.displayName === 'Sam Personal');
+  await cals.backend.createObject(sam, {
+    filename: 'dentist.ics',
+    data: buildICS({ uid: 'dentist', start: new Date('2030-07-09T16:00:00Z'), end: new Date('2030-07-09T17:00:00Z'), summary: 'Dentist' }),
+  });
+
+  const { busyEvents, errors } = await fetchBusy(cals, { start: dayBounds('2030-07-09').start, end: dayBounds('2030-07-09').end });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(busyEvents, [{
+    start: new Date('2030-07-09T16:00:00Z'), end: new Date('2030-07-09T17:00:00Z'), allDay: false, resource: null, source: 'sam',
+  }]);
+
+  const during = await open('2030-07-09', '11:00');
+  assert.equal(during.ok, false);
+  assert.equal(during.reason, 'slot:11:00');
+  assert.equal((await open('2030-07-09', '14:00')).ok, true);
+});
+
+test('an all-day event in a file closes the day', async () => {
+  assert.equal((await open('2030-07-10')).reason, 'busy');
+  assert.equal((await open('2030-07-11')).ok, true);
+});
+
+test('free and cancelled events in a feed do not count; the feed is cached', async () => {
+  assert.equal((await open('2030-07-12')).ok, true);
+  assert.equal((await open('2030-07-13')).ok, true);
+  assert.equal((await open('2030-07-14')).reason, 'busy');
+  assert.equal(feed.asked, 1);
+});
+
+test('a source that cannot be read is reported and skipped', async () => {
+  const cals = await openCalendars();
+  const range = { start: dayBounds('2030-07-10').start, end: dayBounds('2030-07-10').end };
+  const broken = [{ id: 'gone', kind: 'calendar', target: 'Nobody', resource: null }, ...BUSY_SOURCES.slice(1, 2)];
+  const { busyEvents, errors } = await fetchBusy(cals, range, { sources: broken });
+  assert.deepEqual(errors, [{ source: 'gone', error: 'calendar not found' }]);
+  assert.deepEqual(busyEvents.map(e => e.source), ['venue']);
+});
@@ -0,0 +1,220 @@
+// test/cached.test.js  — the read cache in front of a calendar backend
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NOTIFY_TRANSPORT = 'none';
+
+const { withCache } = await import('../api/_lib/backends/cached.js');
+const { createLocalBackend } = await import('../api/_lib/backends/local.js');
+const { getKV, setKV } = await import('../api/_lib/kv.js');
+const { buildICS } = await import('../api/_lib/ics.js');
+
+let kv;
+beforeEach(() => {
+  setKV(null);
+  kv = getKV();
+});
+
+const JUNE = { start: new Date('2030-06-01T00:00:00Z'), end: new Date('2030-07-01T00:00:00Z') };
+
+// A memory backend that counts what reaches it
+function counted(names = ['Busy']) {
+  const backend = createLocalBackend({ calendars: names });
+  const calls = { listCalendars: 0, fetchObjects: 0, getCtag: 0, syncObjects: 0 };
+  const wrap = { ...backend };
+  for (const name of Object.keys(calls)) {
+    wrap[name] = (...args) => {
+      calls[name]++;
+      return backend[name](...args);
+    };
+  }
+  return { backend: wrap, calls };
+}
+
+const event = (uid, day) => ({
+  filename: `${uid}.ics`,
+  data: buildICS({ uid, start: new Date(`${day}T16:00:00Z`), end: new Date(`${day}T18:00:00Z`), summary: uid }),
+});
+const uids = (objs) => objs.map(o => o.url.split('/').pop()).sort();
+const later = (ms) => new Promise(r => setTimeout(r, ms));
+
+test('a range read is served from memory until the TTL runs out', async () => {
+  const { backend, calls } = counted();
+  const cache = withCache(backend, { kv: () => kv });
+  const [busy] = await cache.listCalendars();
+  await cache.listCalendars();
+  assert.equal(calls.listCalendars, 1);
+
+  await backend.createObject(busy, event('a', '2030-06-04'));
+  assert.deepEqual(uids(await cache.fetchObjects(busy, JUNE)), ['a.ics']);
+  await backend.createObject(busy, event('b', '2030-06-05')); // behind the cache's back
+  assert.deepEqual(uids(await cache.fetchObjects(busy, JUNE)), ['a.ics']);
+  assert.equal(calls.fetchObjects, 1);
+
+  assert.deepEqual(uids(await cache.fetchObjects(busy, JUNE, { fresh: true })), ['a.ics', 'b.ics']);
+  assert.equal(calls.fetchObjects, 2);
+});
+
+test('past the TTL an unchanged CTag keeps the entry; a changed one reads again', async () => {
+  const { backend, calls } = counted();
+  const cache = withCache(backend, { ttlSeconds: 0.02, kv: () => kv });
+  const [busy] = await cache.listCalendars();
+  await backend.createObject(busy, event('a', '2030-06-04'));
+
+  await cache.fetchObjects(busy, JUNE);
+  await later(30);
+  await cache.fetchObjects(busy, JUNE);
+  assert.deepEqual([calls.fetchObjects, calls.getCtag], [1, 2]);
+
+  await backend.createObject(busy, event('b', '2030-06-05'));
+  await later(30);
+  assert.deepEqual(uids(await cache.fetchObjects(busy, JUNE)), ['a.ics', 'b.ics']);
+  assert.equal(calls.fetchObjects, 2);
+});
+
+test('a write here, or one another instance announces, is seen on the next read', async () => {
+  const { backend, calls } = counted();
+  const here = withCache(backend, { kv: () => kv });
+  const there = withCache(backend, { kv: () => kv });
+  const [busy] = await here.listCalendars();
+
+  assert.deepEqual(await here.fetchObjects(busy, JUNE), []);
+  assert.deepEqual(await there.fetchObjects(busy, JUNE), []);
+  await here.createObject(busy, event('a', '2030-06-04'));
+
+  assert.deepEqual(uids(await here.fetchObjects(busy, JUNE)), ['a.ics']);
+  assert.deepEqual(uids(await there.fetchObjects(busy, JUNE)), ['a.ics']);
+  assert.equal(calls.fetchObjects, 4);
+});
+
+test('a read that a write overlapped is not kept, even when the write could not be shared', async () => {
+  const { backend } = counted();
+  let release;
+  const slow = {
+    ...backend,
+    async fetchObjects(calendar, range) {
+      const objs = await backend.fetchObjects(calendar, range);
+      await new Promise(r => { release = r; });
+      return objs;
+    },
+  };
+  const cache = withCache(slow, { kv: () => ({ get: kv.get, async incr() { throw new Error('down'); } }) });
+  const [busy] = await cache.listCalendars();
+
+  const reading = cache.fetchObjects(busy, JUNE);
+  await later(5);
+  await cache.createObject(busy, event('a', '2030-06-04'));
+  release();
+  assert.deepEqual(await reading, []);
+
+  const again = cache.fetchObjects(busy, JUNE);
+  await later(5);
+  release();
+  assert.deepEqual(uids(await again), ['a.ics']);
+});
+
+test('without the shared store, reads go straight to the backend', async () => {
+  const { backend, calls } = counted();
+  const cache = withCache(backend, { kv: () => ({ async get() { throw new Error('down'); } }) });
+  const [busy] = await cache.listCalendars();
+  await cache.fetchObjects(busy, JUNE);
+  await cache.fetchObjects(busy, JUNE);
+  assert.equal(calls.fetchObjects, 2);
+});
+
+/* -------------- mirrored calendars -------------- */
+
+const mirrorOf = (backend, opts = {}) => withCache(backend, { mirror: ['Bookings'], kv: () => kv, ...opts });
+
+test('a mirrored calendar is downloaded once and answers any range from memory', async () => {
+  const { backend, calls } = counted(['Bookings']);
+  const cache = mirrorOf(backend);
+  const [bookings] = await cache.listCalendars();
+  await backend.createObject(bookings, event('a', '2030-06-04'));
+  await backend.createObject(bookings, event('b', '2031-01-10'));
+  await backend.createObject(bookings, {
+    filename: 'weekly.ics',
+    data: buildICS({ uid: 'weekly', date: '2030-05-06', summary: 'Closed', rrule: 'FREQ=WEEKLY;BYDAY=MO' }),
+  });
+
+  assert.deepEqual(uids(await cache.fetchObjects(bookings, JUNE)), ['a.ics', 'weekly.ics']);
+  const january = { start: new Date('2031-01-01T00:00:00Z'), end: new Date('2031-02-01T00:00:00Z') };
+  const jan = await cache.fetchObjects(bookings, january);
+  assert.deepEqual(uids(jan), ['b.ics', 'weekly.ics']);
+  assert.equal(jan.find(o => o.url.endsWith('weekly.ics')).events.length, 4);
+  assert.deepEqual([calls.syncObjects, calls.fetchObjects], [1, 0]);
+});
+
+test('a mirror re-syncs only what changed, and sees our writes at once', async () => {
+  const { backend, calls } = counted(['Bookings']);
+  const seen = [];
+  const watched = { ...backend, async syncObjects(calendar, opts) { const r = await backend.syncObjects(calendar, opts); seen.push(r); return r; } };
+  const cache = mirrorOf(watched);
+  const [bookings] = await cache.listCalendars();
+  const a = await cache.createObject(bookings, event('a', '2030-06-04'));
+  await cache.createObject(bookings, event('b', '2030-06-05'));
+  assert.deepEqual(uids(await cache.fetchObjects(bookings, JUNE)), ['a.ics', 'b.ics']);
+
+  await cache.deleteObject(a);
+  await cache.createObject(bookings, event('c', '2030-06-06'));
+  assert.deepEqual(uids(await cache.fetchObjects(bookings, JUNE)), ['b.ics', 'c.ics']);
+  assert.deepEqual(uids(seen[1].changed), ['c.ics']);
+  assert.deepEqual(seen[1].deleted.map(u => u.split('/').pop()), ['a.ics']);
+  assert.equal(calls.fetchObjects, 0);
+});
+
+test('a refused sync token starts over; a server that cannot sync gets range reads', async () => {
+  const { backend, calls } = counted(['Bookings']);
+  let refuse = false;
+  const picky = {
+    ...backend,
+    async syncObjects(calendar, opts) {
+      if (refuse && opts.syncToken) throw new Error('invalid sync token');
+      return backend.syncObjects(calendar, opts);
+    },
+  };
+  const cache = mirrorOf(picky);
+  const [bookings] = await cache.listCalendars();
+  await cache.createObject(bookings, event('a', '2030-06-04'));
+  await cache.fetchObjects(bookings, JUNE);
+  refuse = true;
+  await cache.createObject(bookings, event('b', '2030-06-05'));
+  assert.deepEqual(uids(await cache.fetchObjects(bookings, JUNE)), ['a.ics', 'b.ics']);
+
+  const noSync = mirrorOf({ ...backend, async syncObjects() { throw new Error('not supported'); } });
+  assert.deepEqual(uids(await noSync.fetchObjects(bookings, JUNE)), ['a.ics', 'b.ics']);
+  await noSync.fetchObjects(bookings, JUNE);
+  assert.equal(calls.fetchObjects, 1);
+});
+
+test('a write during a sync keeps the mirror stale; a fresh read never joins an older sync', async () => {
+  const { backend } = counted(['Bookings']);
+  const gates = [];
+  const slow = {
+    ...backend,
+    async syncObjects(calendar, opts) {
+      const r = await backend.syncObjects(calendar, opts);
+      await new Promise(resolve => gates.push(resolve));
+      return r;
+    },
+  };
+  // The write can't reach the shared store either: only the local bookkeeping can catch it
+  const cache = mirrorOf(slow, { kv: () => ({ get: kv.get, async incr() { throw new Error('down'); } }) });
+  const [bookings] = await cache.listCalendars();
+
+  const first = cache.fetchObjects(bookings, JUNE);
+  await later(5);
+  await cache.createObject(bookings, event('a', '2030-06-04'));
+  gates.shift()();
+  assert.deepEqual(await first, []);
+
+  const second = cache.fetchObjects(bookings, JUNE);
+  await later(5);
+  await backend.createObject(bookings, event('b', '2030-06-05')); // lands after that sync read
+  const fresh = cache.fetchObjects(bookings, JUNE, { fresh: true });
+  gates.shift()();
+  assert.deepEqual(uids(await second), ['a.ics']);
+  await later(5);
+  gates.shift()();
+  assert.deepEqual(uids(await fresh), ['a.ics', 'b.ics']);
+});
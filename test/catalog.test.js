@@ -0,0 +1,88 @@
+// test/catalog.test.js  — what a session costs: the server's catalog, surcharges, add-ons, deposits
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+delete process.env.SERVICE_CATALOG;
+delete process.env.STUDIO_OPEN_HOUR;
+delete process.env.STUDIO_CLOSE_HOUR;
+process.env.RATE_LIMITS = JSON.stringify({ quote: false, services: false });
+process.env.COUPONS = JSON.stringify([{ code: 'SPRING25', percent: 25 }]);
+
+const { quote, depositFor, getService } = await import('../api/_lib/catalog.js');
+const { default: quoteRoute } = await import('../api/quote.js');
+const { default: services } = await import('../api/services.js');
+const { call } = await import('./helpers.js');
+
+// 2030-06-01 is a Saturday, 2030-06-04 a Tuesday
+const lines = (q) => q.lines.map(l => [l.id, l.amount]);
+
+test('a weekday session is hours × rate, in cents, with a percent deposit', () => {
+  const q = quote({ serviceId: 'recording', date: '2030-06-04', start: '10:00', duration: 3 });
+  assert.deepEqual(lines(q), [['recording', 19500]]);
+  assert.equal(q.amount, 19500);
+  assert.equal(q.deposit, 5850);
+  assert.equal(q.summary, 'Recording Session (3h)');
+  assert.equal(q.currency, 'usd');
+});
+
+test('weekends add a percent of the session; late hours add per hour; add-ons come last', () => {
+  const q = quote({ serviceId: 'recording', date: '2030-06-01', start: '17:00', duration: 3, addOns: 'engineer,rough-mix,engineer' });
+  assert.deepEqual(lines(q), [
+    ['recording', 19500],
+    ['weekend', 3900],
+    ['evening', 2000],
+    ['addon:engineer', 10500],
+    ['addon:rough-mix', 7500],
+  ]);
+  assert.equal(q.lines[2].label, 'Evening (2h after 18:00)');
+  assert.deepEqual(q.addOns, ['engineer', 'rough-mix']);
+  assert.equal(q.amount, 43400);
+});
+
+test('a day booking is flat, has no evening hours, and a fixed deposit', () => {
+  const q = quote({ serviceId: 'full-day', date: '2030-06-01', addOns: ['engineer'] });
+  assert.deepEqual(lines(q), [['full-day', 55000], ['weekend', 11000], ['addon:engineer', 30000]]);
+  assert.equal(q.deposit, 20000);
+  assert.equal(q.summary, 'Full Day Lockout');
+  assert.equal(depositFor(getService('full-day'), 15000), 15000);
+});
+
+test('choices the catalog does not offer are refused', () => {
+  const refused = (req) => quote({ serviceId: 'recording', date: '2030-06-04', start: '10:00', duration: 2, ...req }).invalid;
+  assert.equal(refused({ serviceId: 'karaoke' }), 'unknown service');
+  assert.equal(refused({ date: '2030-13-01' }), 'invalid date');
+  assert.equal(refused({ start: '10am' }), 'invalid start (HH:mm)');
+  assert.equal(refused({ duration: 0 }), 'invalid duration');
+  assert.equal(refused({ duration: 5 }), 'duration must be one of 2, 3, 4, 6, 8 hours');
+  assert.equal(refused({ addOns: ['backline'] }), 'unknown add-on: backline');
+  assert.equal(quote({ serviceId: 'full-day', date: '2030-06-01', start: '10:00' }).invalid, 'Full Day Lockout is booked by the day');
+});
+
+test('/api/quote prices a choice, with or without a code that applies', async () => {
+  const body = { serviceId: 'rehearsal', date: '2030-06-04', start: '10:00', duration: 2, addOns: ['backline'] };
+  const plain = await call(quoteRoute, { method: 'POST', body });
+  assert.equal(plain.code, 200);
+  assert.equal(plain.body.amount, 11000);
+  assert.equal(plain.body.coupon, undefined);
+
+  const coded = await call(quoteRoute, { method: 'POST', body: { ...body, coupon: 'spring25' } });
+  assert.equal(coded.body.amount, 8250);
+  assert.deepEqual(coded.body.coupon, { code: 'SPRING25', discount: 2750, applied: true });
+
+  const wrong = await call(quoteRoute, { method: 'POST', body: { ...body, coupon: 'nope' } });
+  assert.equal(wrong.body.amount, 11000);
+  assert.deepEqual(wrong.body.coupon, { code: 'NOPE', applied: false, reason: 'unknown code' });
+
+  const bad = await call(quoteRoute, { method: 'POST', body: { ...body, duration: 7 } });
+  assert.deepEqual([bad.code, bad.body], [400, { error: 'duration must be one of 2, 3, 4 hours' }]);
+});
+
+test('/api/services lists the catalog, or prices one choice', async () => {
+  const all = await call(services, {});
+  assert.deepEqual(all.body.services.map(s => s.id), ['recording', 'rehearsal', 'full-day']);
+  assert.equal(all.headers['cache-control'], 'public, max-age=300');
+
+  const one = await call(services, { query: { serviceId: 'rehearsal', date: '2030-06-01', start: '19:00', duration: '2' } });
+  assert.deepEqual(one.body.lines.map(l => [l.id, l.amount]), [['rehearsal', 7000], ['weekend', 1400], ['evening', 2000]]);
+  assert.equal(one.headers['cache-control'], 'no-store');
+});
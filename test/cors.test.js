@@ -0,0 +1,62 @@
+// test/cors.test.js  — the origin allow-list every browser-facing route shares
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.ALLOWED_ORIGIN = 'https://609music.com, https://*.609music.com';
+delete process.env.VERCEL_ENV;
+
+const { cors, originAllowed } = await import('../api/_lib/cors.js');
+const { call } = await import('./helpers.js');
+
+// A route that answers 200 once CORS lets it through
+const route = (opts) => async (req, res) => {
+  if (cors(req, res, opts)) return;
+  res.status(200).json({ ok: true });
+};
+
+test('listed origins and their subdomains are allowed, nothing else', () => {
+  assert.equal(originAllowed('https://609music.com'), true);
+  assert.equal(originAllowed('https://book.609music.com'), true);
+  assert.equal(originAllowed('https://a.b.609music.com'), true);
+  assert.equal(originAllowed('http://609music.com'), false);
+  assert.equal(originAllowed('https://609music.com.evil.io'), false);
+  assert.equal(originAllowed('https://evil609music.com'), false);
+  assert.equal(originAllowed(''), false);
+});
+
+test('localhost is only allowed under vercel dev', () => {
+  assert.equal(originAllowed('http://localhost:3000'), false);
+  assert.equal(originAllowed('http://127.0.0.1:5173'), false);
+});
+
+test('a preflight from an allowed origin gets the methods and headers', async () => {
+  const res = await call(route({ methods: ['POST'] }), { method: 'OPTIONS', headers: { origin: 'https://609music.com' } });
+  assert.equal(res.code, 204);
+  assert.equal(res.headers['access-control-allow-origin'], 'https://609music.com');
+  assert.equal(res.headers['access-control-allow-methods'], 'POST,OPTIONS');
+  assert.equal(res.headers.vary, 'Origin');
+});
+
+test('the allowed origin is echoed, never *', async () => {
+  const res = await call(route(), { headers: { origin: 'https://book.609music.com' } });
+  assert.equal(res.code, 200);
+  assert.equal(res.headers['access-control-allow-origin'], 'https://book.609music.com');
+});
+
+test('other origins: reads go through without CORS headers, writes and preflights are refused', async () => {
+  const read = await call(route(), { headers: { origin: 'https://evil.io' } });
+  assert.equal(read.code, 200);
+  assert.equal(read.headers['access-control-allow-origin'], undefined);
+
+  for (const method of ['POST', 'DELETE', 'OPTIONS']) {
+    const res = await call(route({ methods: ['POST'] }), { method, headers: { origin: 'https://evil.io' } });
+    assert.equal(res.code, 403, method);
+    assert.deepEqual(res.body, { error: 'origin not allowed' });
+  }
+});
+
+test('requests without an Origin (scripts, Stripe) are not CORS', async () => {
+  const res = await call(route({ methods: ['POST'] }), { method: 'POST' });
+  assert.equal(res.code, 200);
+  assert.equal(res.headers.vary, 'Origin');
+});
@@ -0,0 +1,86 @@
+// test/coupons.test.js  — discount codes on catalog quotes, and their uses counted in KV
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+delete process.env.SERVICE_CATALOG;
+process.env.COUPONS = JSON.stringify([
+  { code: 'spring25', percent: 25 },
+  { code: 'TENOFF', amount: 10, services: ['rehearsal'] },
+  { code: 'WEEKDAY', percent: 10, weekdays: ['tue', 3], starts: '2030-01-01', expires: '2030-06-30' },
+  { code: 'ONCE', percent: 5, maxUses: 1 },
+  { code: 'FREE', percent: 100 },
+]);
+
+const { COUPONS, applyCoupon, couponUses, reserveCoupon, releaseCoupon, redeemCoupon } = await import('../api/_lib/coupons.js');
+const { quote } = await import('../api/_lib/catalog.js');
+const { default: checkout } = await import('../api/checkout.js');
+const { freshStudio, call } = await import('./helpers.js');
+
+beforeEach(() => freshStudio());
+
+const NOW = new Date('2030-02-01T12:00:00Z');
+// 2030-03-05 is a Tuesday: a 2h recording there is 130.00 with no surcharges
+const recording = (over = {}) => quote({ serviceId: 'recording', date: '2030-03-05', start: '10:00', duration: 2, ...over });
+
+test('codes are matched without regard to case or spaces', () => {
+  assert.deepEqual(COUPONS.map(c => c.code), ['SPRING25', 'TENOFF', 'WEEKDAY', 'ONCE', 'FREE']);
+  assert.deepEqual(COUPONS[2].weekdays, [2, 3]);
+});
+
+test('a percent code takes its share off the total and the deposit follows', async () => {
+  const q = await applyCoupon(recording(), ' Spring25 ', { now: NOW });
+  assert.equal(q.amount, 9750);
+  assert.equal(q.deposit, 2925);
+  assert.deepEqual(q.coupon, { code: 'SPRING25', discount: 3250 });
+  assert.deepEqual(q.lines.at(-1), { id: 'coupon:SPRING25', label: 'Code SPRING25 (−25%)', amount: -3250 });
+});
+
+test('an amount code is in whole units and only for its services', async () => {
+  const rehearsal = quote({ serviceId: 'rehearsal', date: '2030-03-05', start: '10:00', duration: 2 });
+  const q = await applyCoupon(rehearsal, 'tenoff', { now: NOW });
+  assert.equal(q.amount, 7000 - 1000);
+  assert.deepEqual(await applyCoupon(recording(), 'TENOFF', { now: NOW }), { ok: false, invalid: 'code not valid for Recording Session' });
+});
+
+test('dates and weekdays limit a code', async () => {
+  assert.equal((await applyCoupon(recording(), 'WEEKDAY', { now: NOW })).amount, 11700);
+  assert.deepEqual(await applyCoupon(recording({ date: '2030-03-07' }), 'WEEKDAY', { now: NOW }), { ok: false, invalid: 'code not valid on that day' });
+  assert.deepEqual(await applyCoupon(recording(), 'WEEKDAY', { now: new Date('2029-12-31T12:00:00Z') }), { ok: false, invalid: 'code not active yet' });
+  assert.deepEqual(await applyCoupon(recording(), 'WEEKDAY', { now: new Date('2030-07-01T12:00:00Z') }), { ok: false, invalid: 'code expired' });
+  assert.deepEqual(await applyCoupon(recording(), 'NOPE', { now: NOW }), { ok: false, invalid: 'unknown code' });
+});
+
+test('a code that would take the total under the minimum charge is refused', async () => {
+  assert.deepEqual(await applyCoupon(recording(), 'FREE', { now: NOW }),
+    { ok: false, invalid: 'code brings the total below the minimum charge' });
+
+  const res = await call(checkout, {
+    method: 'POST',
+    body: { serviceId: 'recording', date: '2030-03-05', start: '10:00', duration: 2, coupon: 'FREE' },
+  });
+  assert.equal(res.code, 400);
+  assert.deepEqual(res.body, { error: 'Invalid discount code', detail: 'code brings the total below the minimum charge' });
+});
+
+test('reserving takes a use, and maxUses holds across open checkouts', async () => {
+  assert.equal(await reserveCoupon('once'), true);
+  assert.equal(await reserveCoupon('ONCE'), false);
+  assert.equal(await couponUses('ONCE'), 1);
+  assert.deepEqual(await applyCoupon(recording(), 'ONCE', { now: NOW }), { ok: false, invalid: 'code fully redeemed' });
+});
+
+test('an expired session gives its use back once', async () => {
+  await reserveCoupon('ONCE');
+  assert.equal(await releaseCoupon('ONCE', 'cs_1'), true);
+  assert.equal(await releaseCoupon('ONCE', 'cs_1'), false);
+  assert.equal(await couponUses('ONCE'), 0);
+  assert.equal(await reserveCoupon('ONCE'), true);
+});
+
+test('a paid session counts once; a reserved use just stays taken', async () => {
+  assert.equal(await redeemCoupon('SPRING25', 'cs_paid'), 1);
+  assert.equal(await redeemCoupon('SPRING25', 'cs_paid'), null);
+  await reserveCoupon('SPRING25');
+  assert.equal(await redeemCoupon('SPRING25', 'cs_reserved', { reserved: true }), 2);
+  assert.equal(await couponUses('SPRING25'), 2);
+});
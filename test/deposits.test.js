@@ -0,0 +1,117 @@
+// test/deposits.test.js  — paying a deposit at checkout, the balance later, and what a cancel keeps
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.STRIPE_SECRET_KEY = 'sk_test_deposits';
+process.env.ADMIN_API_KEY = 'admin-key';
+process.env.NOTIFY_TRANSPORT = 'none';
+process.env.RATE_LIMITS = JSON.stringify({ checkout: false });
+delete process.env.CANCEL_POLICY;
+delete process.env.SERVICE_CATALOG;
+delete process.env.TURNSTILE_SECRET_KEY;
+
+const { freshStudio, call } = await import('./helpers.js');
+const { createBooking, findBooking, recordBalancePayment, refundBooking, refundQuote } = await import('../api/_lib/bookings.js');
+const { default: checkout } = await import('../api/checkout.js');
+const { default: balance } = await import('../api/bookings/[uid]/balance.js');
+
+// Stripe: sessions and refunds are kept and answered
+let stripe;
+const realFetch = globalThis.fetch;
+beforeEach(() => {
+  freshStudio();
+  stripe = [];
+  globalThis.fetch = async (url, init) => {
+    const path = new URL(url).pathname.replace('/v1/', '');
+    stripe.push({ path, ...Object.fromEntries(new URLSearchParams(init.body || '')) });
+    if (path === 'checkout/sessions') return Response.json({ id: `cs_${stripe.length}`, url: `https://checkout.stripe.test/${stripe.length}` });
+    return Response.json({ id: `re_${stripe.length}` });
+  };
+});
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+const DAY = 24 * 60 * 60 * 1000;
+const customer = { name: 'Ana', email: 'ana@example.com' };
+
+async function depositBooking() {
+  const { booking } = await createBooking({
+    date: '2030-06-04', start: '12:00', duration: 2, serviceId: 'rehearsal', summary: 'Rehearsal (2h)', customer,
+    stripe: { sessionId: 'cs_dep', paymentIntent: 'pi_dep', amountTotal: 10000, amountPaid: 3000, deposit: 3000 },
+  });
+  return booking;
+}
+const before = (booking, days) => new Date(new Date(booking.startsAt).getTime() - days * DAY);
+const refunds = () => stripe.filter(c => c.path === 'refunds').map(c => [c.payment_intent, Number(c.amount)]);
+
+test('deposit mode charges only the deposit and records the full price', async () => {
+  const res = await call(checkout, {
+    method: 'POST',
+    body: { serviceId: 'full-day', date: '2030-06-04', payMode: 'deposit', customer },
+  });
+  assert.equal(res.code, 200);
+  assert.deepEqual([res.body.amount, res.body.charged, res.body.amountDue], [55000, 20000, 35000]);
+
+  const [session] = stripe;
+  assert.equal(session['line_items[0][price_data][unit_amount]'], '20000');
+  assert.match(session['line_items[0][price_data][product_data][name]'], /^Deposit — Full Day Lockout \(balance 350\.00 USD due later\)$/);
+  assert.equal(session['line_items[1][price_data][unit_amount]'], undefined);
+  assert.equal(session['metadata[pay_mode]'], 'deposit');
+  assert.equal(session['metadata[amount_total]'], '55000');
+  assert.equal(session['payment_intent_data[metadata][kind]'], 'deposit');
+});
+
+test('a deposit booking owes the rest, and a cancel keeps the deposit', async () => {
+  const booking = await depositBooking();
+  assert.deepEqual(
+    [booking.payment.status, booking.payment.amountPaid, booking.payment.amountDue, booking.payment.deposit],
+    ['deposit', 3000, 7000, 3000],
+  );
+  assert.deepEqual(await refundQuote(booking, 'policy', before(booking, 10)), { amount: 0, percent: 0 });
+  assert.deepEqual(await refundBooking(booking, 'policy', before(booking, 10)),
+    { status: 'skipped', reason: 'deposit is non-refundable', percent: 100, amount: 0 });
+  assert.equal((await refundBooking(booking, 'full')).amount, 3000);
+});
+
+test('the balance link is for what is still owed, admins only', async () => {
+  const booking = await depositBooking();
+  const refused = await call(balance, { method: 'POST', query: { uid: booking.uid } });
+  assert.equal(refused.code, 401);
+
+  const res = await call(balance, { method: 'POST', headers: { authorization: 'Bearer admin-key' }, query: { uid: booking.uid } });
+  assert.equal(res.code, 200);
+  assert.equal(res.body.amountDue, 7000);
+  const [session] = stripe;
+  assert.equal(session['line_items[0][price_data][unit_amount]'], '7000');
+  assert.equal(session['line_items[0][price_data][product_data][name]'], 'Balance — Rehearsal (2h)');
+  assert.equal(session['metadata[kind]'], 'balance');
+  assert.equal(session['metadata[booking_uid]'], booking.uid);
+});
+
+test('a paid balance is counted once and settles the booking', async () => {
+  const booking = await depositBooking();
+  const paid = { sessionId: 'cs_bal', paymentIntent: 'pi_bal', amount: 7000 };
+  const first = await recordBalancePayment(booking.uid, paid);
+  assert.equal(first.recorded, true);
+  assert.equal((await recordBalancePayment(booking.uid, paid)).recorded, false);
+
+  const { booking: now } = await findBooking(booking.uid);
+  assert.deepEqual([now.payment.status, now.payment.amountPaid, now.payment.amountDue], ['paid', 10000, 0]);
+  assert.deepEqual(now.payment.balance, { sessionId: 'cs_bal', paymentIntent: 'pi_bal' });
+
+  const again = await call(balance, { method: 'POST', headers: { authorization: 'Bearer admin-key' }, query: { uid: booking.uid } });
+  assert.equal(again.code, 409);
+  assert.equal(again.body.error, 'nothing left to pay');
+});
+
+test('once the balance is paid, a policy refund comes off the balance only', async () => {
+  const booking = await depositBooking();
+  await recordBalancePayment(booking.uid, { sessionId: 'cs_bal', paymentIntent: 'pi_bal', amount: 7000 });
+  const { booking: settled } = await findBooking(booking.uid);
+
+  assert.equal((await refundBooking(settled, 'policy', before(settled, 10))).amount, 7000);
+  assert.equal((await refundBooking(settled, 'policy', before(settled, 3))).amount, 3500);
+  assert.equal((await refundBooking(settled, 'full')).amount, 10000);
+  assert.deepEqual(refunds(), [['pi_bal', 7000], ['pi_bal', 3500], ['pi_dep', 3000], ['pi_bal', 7000]]);
+});
@@ -0,0 +1,34 @@
+// test/helpers.js  — a fresh in-memory studio per test: calendars, KV store and a mail outbox
+import { createLocalBackend } from '../api/_lib/backends/local.js';
+import { setBackend } from '../api/_lib/backends/index.js';
+import { setKV } from '../api/_lib/kv.js';
+import { setTransport } from '../api/_lib/notify/index.js';
+
+/* Empty memory calendars (`names`), a new KV store, and the messages notify would send */
+export function freshStudio(names = ['Bookings', 'Blackouts']) {
+  setBackend(createLocalBackend({ calendars: names }));
+  setKV(null);
+  const outbox = [];
+  setTransport({ name: 'test', async send(message) { outbox.push(message); return { id: String(outbox.length) }; } });
+  return { outbox };
+}
+
+/* Just enough of Vercel's `res` for the Node routes */
+export function mockRes() {
+  return {
+    headers: {},
+    code: 200,
+    setHeader(k, v) { this.headers[k.toLowerCase()] = v; },
+    status(c) { this.code = c; return this; },
+    json(b) { this.body = b; return this; },
+    send(b) { this.body = b; return this; },
+    end() { return this; },
+  };
+}
+
+/* Run a route → the mock response */
+export async function call(handler, req) {
+  const res = mockRes();
+  await handler({ method: 'GET', headers: {}, query: {}, ...req }, res);
+  return res;
+}
@@ -0,0 +1,78 @@
+// test/holds.test.js  — the slot a checkout holds while the customer pays
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.NOTIFY_TRANSPORT = 'none';
+delete process.env.BOOKING_RULES;
+delete process.env.HOLD_MINUTES;
+
+const { freshStudio } = await import('./helpers.js');
+const { placeHold, releaseHold, HOLD_MINUTES } = await import('../api/_lib/holds.js');
+const { checkBooking } = await import('../api/_lib/rules.js');
+const { createBooking, findBooking } = await import('../api/_lib/bookings.js');
+const { openCalendars, getBookingObject } = await import('../api/_lib/calendar.js');
+
+beforeEach(() => freshStudio());
+
+const MINUTE = 60 * 1000;
+const lockout = { date: '2030-06-04', serviceId: 'full-day' };
+
+async function hold(request = lockout, opts) {
+  const check = await checkBooking(request);
+  assert.equal(check.ok, true);
+  return placeHold(check, request, { summary: 'Full Day Lockout', ...opts });
+}
+
+test('a hold outlives its Stripe session by a few minutes', async () => {
+  const now = new Date('2030-06-01T12:00:00Z');
+  const h = await hold(lockout, { now });
+  assert.equal(HOLD_MINUTES, 31);
+  assert.equal(h.expiresAt.getTime() - now.getTime(), (31 + 5) * MINUTE);
+  assert.equal(h.resource, 'studio');
+
+  const cals = await openCalendars();
+  const obj = await getBookingObject(cals, h.uid);
+  assert.match(obj.data, /^STATUS:TENTATIVE\r$/m);
+  assert.match(obj.data, /^SUMMARY:Hold: Full Day Lockout\r$/m);
+  assert.match(obj.data, /^X-SERVICE-ID:full-day\r$/m);
+});
+
+test('a live hold takes the slot; an expired one is ignored', async () => {
+  const h = await hold();
+  const taken = await checkBooking(lockout);
+  assert.equal(taken.ok, false);
+  assert.match(taken.reason, /^capacity/);
+  assert.equal((await checkBooking(lockout, { now: new Date(h.expiresAt.getTime() + 1) })).ok, true);
+});
+
+test('of two checkouts racing for the last slot, the later one backs off and cleans up', async () => {
+  const first = await checkBooking(lockout);
+  const second = await checkBooking(lockout);
+  const won = await placeHold(first, lockout);
+  assert.equal(won.ok, true);
+
+  const late = await placeHold(second, lockout);
+  assert.equal(late.ok, false);
+  assert.match(late.reason, /^capacity/);
+
+  // Only the winner's hold is left
+  await releaseHold(won.uid);
+  assert.equal((await checkBooking(lockout)).ok, true);
+});
+
+test('the booking replaces its hold; releasing never touches a confirmed booking', async () => {
+  const h = await hold();
+  const { booking } = await createBooking({ ...lockout, summary: 'Full Day Lockout', holdUid: h.uid, stripe: { sessionId: 'cs_1' } });
+  assert.ok(booking);
+  assert.equal(await findBooking(h.uid), null);
+  assert.equal(await releaseHold(h.uid), false);
+  assert.equal(await releaseHold(booking.uid), false);
+  assert.equal((await findBooking(booking.uid)).booking.status, 'CONFIRMED');
+});
+
+test('an unpaid session lets its hold go', async () => {
+  const h = await hold();
+  assert.equal(await releaseHold(h.uid), true);
+  assert.equal(await releaseHold(h.uid), false);
+  assert.equal((await checkBooking(lockout)).ok, true);
+});
@@ -0,0 +1,82 @@
+// test/ics.test.js  — recurring events (RRULE / RDATE / EXDATE / RECURRENCE-ID) expanded for a range
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.STUDIO_TIMEZONE = 'America/New_York';
+
+const { extractEvents, isRecurringICS } = await import('../api/_lib/ics.js');
+const { dayBounds, dayKeyOf, addDays, formatTime } = await import('../api/_lib/time.js');
+
+const calendar = (...events) => ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//test//EN', ...events.flat(), 'END:VCALENDAR'].join('\r\n');
+const vevent = (lines) => ['BEGIN:VEVENT', ...lines, 'END:VEVENT'];
+const days = (from, to) => ({ start: dayBounds(from).start, end: dayBounds(to).end });
+const daysOf = (events) => events.map(e => dayKeyOf(e.start)).sort();
+
+const weekly = vevent([
+  'UID:weekly', 'SUMMARY:Lesson',
+  'DTSTART;TZID=America/New_York:20300101T180000', 'DTEND;TZID=America/New_York:20300101T190000',
+  'RRULE:FREQ=WEEKLY;BYDAY=TU;COUNT=10',
+  'EXDATE;TZID=America/New_York:20300115T180000',
+]);
+
+test('a weekly rule gives its occurrences in the range, at the wall time', () => {
+  const events = extractEvents(calendar(weekly), days('2030-01-01', '2030-01-31'));
+  assert.deepEqual(daysOf(events), ['2030-01-01', '2030-01-08', '2030-01-22', '2030-01-29']);
+  assert.ok(events.every(e => formatTime(e.start) === '18:00' && e.uid === 'weekly'));
+});
+
+test('COUNT ends the series', () => {
+  assert.deepEqual(extractEvents(calendar(weekly), days('2030-03-10', '2030-04-30')), []);
+});
+
+test('an override moves one occurrence, also into the range from outside it', () => {
+  const moved = calendar(weekly, vevent([
+    'UID:weekly', 'SUMMARY:Lesson (moved)', 'RECURRENCE-ID;TZID=America/New_York:20300108T180000',
+    'DTSTART;TZID=America/New_York:20300205T100000', 'DTEND;TZID=America/New_York:20300205T110000',
+  ]));
+  const jan = extractEvents(moved, days('2030-01-07', '2030-01-09'));
+  assert.deepEqual(jan, []);
+  const feb = extractEvents(moved, days('2030-02-05', '2030-02-05'));
+  assert.deepEqual(feb.map(e => [e.summary, formatTime(e.start)]).sort(), [['Lesson (moved)', '10:00'], ['Lesson', '18:00']]);
+});
+
+test('RDATE adds dates to a series', () => {
+  const ics = calendar(vevent([
+    'UID:rdate', 'DTSTART;VALUE=DATE:20300301', 'DTEND;VALUE=DATE:20300302', 'RRULE:FREQ=WEEKLY;COUNT=2',
+    'RDATE;VALUE=DATE:20300310,20300320',
+  ]));
+  assert.deepEqual(daysOf(extractEvents(ics, days('2030-03-01', '2030-03-31'))), ['2030-03-01', '2030-03-08', '2030-03-10', '2030-03-20']);
+});
+
+test('a daily rule from long ago still reaches today', () => {
+  const today = dayKeyOf(new Date());
+  const ics = calendar(vevent([
+    'UID:closed-daily', 'SUMMARY:Closed', 'DTSTART;VALUE=DATE:20100104', 'DTEND;VALUE=DATE:20100105', 'RRULE:FREQ=DAILY',
+  ]));
+  const events = extractEvents(ics, days(today, addDays(today, 6)));
+  assert.equal(events.length, 7);
+  assert.equal(dayKeyOf(events[0].start), today);
+  assert.ok(events.every(e => e.allDay));
+});
+
+test('a long-running daily rule with an override long before the range stays correct', () => {
+  const ics = calendar(vevent([
+    'UID:daily', 'DTSTART:20120101T150000Z', 'DTEND:20120101T160000Z', 'RRULE:FREQ=DAILY',
+  ]), vevent([
+    'UID:daily', 'RECURRENCE-ID:20120105T150000Z', 'DTSTART:20300615T150000Z', 'DTEND:20300615T200000Z', 'SUMMARY:Moved far ahead',
+  ]));
+  const events = extractEvents(ics, days('2030-06-15', '2030-06-15'));
+  assert.equal(events.length, 2);
+  assert.ok(events.some(e => e.summary === 'Moved far ahead'));
+});
+
+test('all-day events span the studio day', () => {
+  const [ev] = extractEvents(calendar(vevent(['UID:a', 'DTSTART;VALUE=DATE:20300704', 'DTEND;VALUE=DATE:20300705'])));
+  assert.equal(ev.allDay, true);
+  assert.deepEqual([ev.start, ev.end], [dayBounds('2030-07-04').start, dayBounds('2030-07-04').end]);
+});
+
+test('only series are recurring', () => {
+  assert.equal(isRecurringICS(calendar(weekly)), true);
+  assert.equal(isRecurringICS(calendar(vevent(['UID:one', 'DTSTART:20300101T120000Z']))), false);
+});
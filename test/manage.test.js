@@ -0,0 +1,140 @@
+// test/manage.test.js  — what a customer can do with their booking link
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.CALENDAR_BACKEND = 'memory';
+process.env.NOTIFY_TRANSPORT = 'none';
+process.env.BOOKING_LINK_SECRET = 'link-secret';
+process.env.BOOKING_RULES = JSON.stringify({ minNoticeHours: 24, services: { 'full-day': { weight: 2 } } });
+
+const { freshStudio, call } = await import('./helpers.js');
+const { default: manage } = await import('../api/manage.js');
+const { createBooking } = await import('../api/_lib/bookings.js');
+const { signBookingToken } = await import('../api/_lib/tokens.js');
+const { openCalendars, createBookingObject } = await import('../api/_lib/calendar.js');
+const { buildICS } = await import('../api/_lib/ics.js');
+
+let outbox;
+beforeEach(() => {
+  ({ outbox } = freshStudio());
+});
+
+async function booked(request, stripe = { sessionId: 'cs_1', amountPaid: 16000 }) {
+  const { booking } = await createBooking({ summary: 'Booking', customer: { name: 'Ana', email: 'ana@example.com' }, stripe, ...request });
+  return { booking, token: signBookingToken({ uid: booking.uid, sessionId: stripe.sessionId }) };
+}
+
+// Straight into the calendar — for times the booking rules wouldn't take any more
+async function placed(uid, start, hours) {
+  const cals = await openCalendars();
+  const end = new Date(start.getTime() + hours * 60 * 60 * 1000);
+  await createBookingObject(cals, {
+    uid,
+    ics: buildICS({ uid, start, end, summary: 'Rehearsal (2h)', properties: { 'X-STRIPE-SESSION-ID': 'cs_placed' } }),
+  });
+  return signBookingToken({ uid, sessionId: 'cs_placed' });
+}
+
+const reschedule = (token, body) => call(manage, { method: 'POST', body: { token, action: 'reschedule', ...body } });
+
+test('a timed booking moves with its length', async () => {
+  const { token } = await booked({ date: '2030-06-04', start: '12:00', duration: 2, serviceId: 'rehearsal' });
+  const res = await reschedule(token, { date: '2030-06-05', start: '15:00' });
+  assert.equal(res.code, 200);
+  assert.equal(res.body.booking.date, '2030-06-05');
+  assert.equal(res.body.booking.start, '15:00');
+  assert.equal(res.body.booking.end, '17:00');
+  assert.equal(outbox.filter(m => m.kind === 'rescheduled').length, 1);
+
+  // Saying the same length is fine too
+  assert.equal((await reschedule(token, { date: '2030-06-06', start: '12:00', duration: 2 })).code, 200);
+});
+
+test('a timed booking keeps its length and stays timed', async () => {
+  const { token } = await booked({ date: '2030-06-04', start: '12:00', duration: 2, serviceId: 'rehearsal' });
+  const longer = await reschedule(token, { date: '2030-06-05', start: '12:00', duration: 4 });
+  assert.equal(longer.code, 400);
+  assert.equal(longer.body.error, 'duration cannot be changed');
+  const wholeDay = await reschedule(token, { date: '2030-06-05' });
+  assert.equal(wholeDay.code, 400);
+  assert.equal(wholeDay.body.error, 'start required');
+  assert.equal(outbox.filter(m => m.kind === 'rescheduled').length, 0);
+});
+
+test('an all-day booking only moves to another date', async () => {
+  const { token } = await booked({ date: '2030-06-04', serviceId: 'full-day' });
+  assert.equal((await reschedule(token, { date: '2030-06-05', start: '12:00' })).code, 400);
+  assert.equal((await reschedule(token, { date: '2030-06-05', duration: 3 })).code, 400);
+
+  const res = await reschedule(token, { date: '2030-06-05' });
+  assert.equal(res.code, 200);
+  assert.equal(res.body.booking.allDay, true);
+  assert.equal(res.body.booking.date, '2030-06-05');
+});
+
+test('a taken date is refused', async () => {
+  await booked({ date: '2030-06-05', serviceId: 'full-day' }, { sessionId: 'cs_other' });
+  const { token } = await booked({ date: '2030-06-04', serviceId: 'full-day' });
+  const res = await reschedule(token, { date: '2030-06-05' });
+  assert.equal(res.code, 409);
+});
+
+test('a link for another booking, or a tampered one, does nothing', async () => {
+  const { booking } = await booked({ date: '2030-06-04', start: '12:00', duration: 2, serviceId: 'rehearsal' });
+  const otherSession = signBookingToken({ uid: booking.uid, sessionId: 'cs_other' });
+  assert.notEqual((await reschedule(otherSession, { date: '2030-06-05', start: '12:00' })).code, 200);
+  const { token } = await booked({ date: '2030-06-07', start: '12:00', duration: 2, serviceId: 'rehearsal' }, { sessionId: 'cs_2', amountPaid: 1 });
+  assert.notEqual((await reschedule(`${token.slice(0, -2)}xx`, { date: '2030-06-05', start: '12:00' })).code, 200);
+});
+
+test('the cancel preview shows what cancelling would refund', async () => {
+  const far = { date: '2030-06-04', start: '12:00', duration: 2, serviceId: 'rehearsal' };
+  const paid = await booked(far, { sessionId: 'cs_1', paymentIntent: 'pi_1', amountPaid: 16000 });
+  let res = await call(manage, { query: { token: paid.token } });
+  assert.equal(res.code, 200);
+  assert.deepEqual(res.body.actions.cancel.refund, { amount: 16000, percent: 100 });
+
+  // Only the deposit paid so far, and it's kept
+  const deposit = await booked({ ...far, date: '2030-06-05' },
+    { sessionId: 'cs_2', paymentIntent: 'pi_2', amountPaid: 5000, amountTotal: 16000, deposit: 5000 });
+  res = await call(manage, { query: { token: deposit.token } });
+  assert.deepEqual(res.body.actions.cancel.refund, { amount: 0, percent: 0 });
+});
+
+test('a booking whose bank payment is still clearing cannot be cancelled', async () => {
+  const { token } = await booked({ date: '2030-06-04', start: '12:00', duration: 2, serviceId: 'rehearsal' },
+    { sessionId: 'cs_1', paymentIntent: 'pi_1', amountPaid: 16000, pending: true });
+  const view = await call(manage, { query: { token } });
+  assert.equal(view.body.actions.cancel, null);
+
+  const res = await call(manage, { method: 'POST', body: { token, action: 'cancel' } });
+  assert.equal(res.code, 409);
+  assert.equal((await call(manage, { query: { token } })).body.booking.status, 'CONFIRMED');
+});
+
+test('a booking that has started cannot be cancelled or moved', async () => {
+  const token = await placed('past@609music', new Date(Date.now() - 30 * 60 * 1000), 2);
+  const cancel = await call(manage, { method: 'POST', body: { token, action: 'cancel' } });
+  assert.equal(cancel.code, 409);
+  assert.equal(cancel.body.error, 'the booking has already started');
+  assert.equal((await reschedule(token, { date: '2030-06-05', start: '12:00' })).code, 409);
+  assert.equal((await call(manage, { query: { token } })).body.actions.reschedule, false);
+});
+
+test('a customer can move a booking twice', async () => {
+  const { token } = await booked({ date: '2030-06-04', start: '12:00', duration: 2, serviceId: 'rehearsal' });
+  assert.equal((await reschedule(token, { date: '2030-06-05', start: '12:00' })).code, 200);
+  assert.equal((await reschedule(token, { date: '2030-06-06', start: '12:00' })).code, 200);
+  const third = await reschedule(token, { date: '2030-06-07', start: '12:00' });
+  assert.equal(third.code, 409);
+  assert.equal(third.body.error, 'this booking cannot be rescheduled again');
+  assert.equal((await call(manage, { query: { token } })).body.actions.reschedule, false);
+});
+
+test('a reschedule needs the minimum notice; a cancel does not', async () => {
+  const token = await placed('soon@609music', new Date(Date.now() + 5 * 60 * 60 * 1000), 2);
+  const res = await reschedule(token, { date: '2030-06-05', start: '12:00' });
+  assert.equal(res.code, 409);
+  assert.equal(res.body.error, 'reschedule at least 24h before the session');
+  assert.equal((await call(manage, { method: 'POST', body: { token, action: 'cancel' } })).code, 200);
+});
@@ -0,0 +1,121 @@
+// test/notify.test.js  — the customer's messages and the .ics invite each one carries
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.STUDIO_TIMEZONE = 'America/New_York';
+process.env.STUDIO_NAME = '609 Music';
+process.env.STUDIO_EMAIL = 'studio@609music.com';
+process.env.BOOKING_LINK_SECRET = 'link-secret';
+process.env.MANAGE_PAGE_URL = 'https://609music.com/booking.html';
+delete process.env.SERVICE_CATALOG;
+
+const { freshStudio } = await import('./helpers.js');
+const { notify, setTransport } = await import('../api/_lib/notify/index.js');
+const { render, when } = await import('../api/_lib/notify/templates.js');
+const { describeEvent } = await import('../api/_lib/ics.js');
+
+let outbox;
+beforeEach(() => {
+  ({ outbox } = freshStudio());
+});
+
+// 2030-06-01 is a Saturday; 12:00 in New York is 16:00 UTC
+const timed = {
+  uid: 'bk-1',
+  date: '2030-06-01',
+  start: '12:00',
+  end: '14:00',
+  startsAt: '2030-06-01T16:00:00.000Z',
+  endsAt: '2030-06-01T18:00:00.000Z',
+  allDay: false,
+  summary: 'Rehearsal (2h)',
+  customer: { name: 'Ana', email: 'ana@example.com' },
+  payment: { sessionId: 'cs_1', amountPaid: 2100, amountDue: 4900 },
+};
+const allDay = { ...timed, uid: 'bk-2', start: null, end: null, allDay: true, summary: 'Full Day Lockout' };
+
+const invite = (message) => message.attachments[0];
+
+test('when() reads in the studio timezone, or as the day for all-day bookings', () => {
+  assert.equal(when(timed), 'Saturday, June 1, 2030, 12:00 – 14:00 (America/New_York)');
+  assert.equal(when(allDay), 'Saturday, June 1, 2030 (all day)');
+});
+
+test('a confirmation has the money, a manage link and a REQUEST invite, copied to the studio', async () => {
+  assert.deepEqual(await notify('confirmed', timed), { sent: 'confirmed', to: 'ana@example.com', id: '1' });
+  const [m] = outbox;
+  assert.equal(m.to, 'ana@example.com');
+  assert.equal(m.bcc, 'studio@609music.com');
+  assert.equal(m.subject, 'Booking confirmed: Rehearsal (2h) on 2030-06-01');
+  assert.match(m.text, /^Hi Ana,\n/);
+  assert.match(m.text, /Paid: \$21\.00\nBalance due: \$49\.00/);
+  assert.match(m.text, /View, reschedule or cancel: https:\/\/609music\.com\/booking\.html\?token=/);
+  assert.match(m.text, /— 609 Music$/);
+
+  assert.equal(invite(m).filename, 'booking.ics');
+  assert.equal(invite(m).contentType, 'text/calendar; charset=utf-8; method=REQUEST');
+  const ics = invite(m).content;
+  assert.match(ics, /^METHOD:REQUEST\r$/m);
+  assert.match(ics, /^DTSTART;TZID=America\/New_York:20300601T120000\r$/m);
+  assert.match(ics, /^BEGIN:VTIMEZONE\r$/m);
+  assert.match(ics, /^ORGANIZER;CN="609 Music":mailto:studio@609music\.com\r$/m);
+  assert.match(ics, /^ATTENDEE;CN="Ana";ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED:mailto:ana@example\.com\r$/m);
+  assert.match(ics, /^SEQUENCE:\d+\r$/m);
+
+  const ev = describeEvent(ics);
+  assert.equal(ev.uid, 'bk-1');
+  assert.equal(new Date(ev.start).toISOString(), timed.startsAt);
+  assert.equal(new Date(ev.end).toISOString(), timed.endsAt);
+});
+
+test('a cancellation says what was refunded and cancels the invite', async () => {
+  await notify('cancelled', timed, { refund: { status: 'refunded', amount: 2100 } });
+  await notify('cancelled', timed, { refund: { status: 'none', reason: 'inside the 48h window' } });
+  assert.match(outbox[0].text, /Refund: \$21\.00 \(allow 5–10 days to arrive\)/);
+  assert.match(outbox[1].text, /No refund: inside the 48h window/);
+  assert.doesNotMatch(outbox[0].text, /View, reschedule or cancel/);
+  assert.equal(invite(outbox[0]).contentType, 'text/calendar; charset=utf-8; method=CANCEL');
+  assert.match(invite(outbox[0]).content, /^STATUS:CANCELLED\r$/m);
+});
+
+test('a reschedule shows where it was and updates the same invite', async () => {
+  const moved = { ...timed, date: '2030-06-02', start: '15:00', end: '17:00', startsAt: '2030-06-02T19:00:00.000Z', endsAt: '2030-06-02T21:00:00.000Z' };
+  await notify('rescheduled', moved, { from: timed });
+  const [m] = outbox;
+  assert.equal(m.subject, 'Booking moved: Rehearsal (2h) is now on 2030-06-02');
+  assert.match(m.text, /  Was: Saturday, June 1, 2030, 12:00 – 14:00/);
+  assert.match(m.text, /  Now: Sunday, June 2, 2030, 15:00 – 17:00/);
+  assert.match(invite(m).content, /^UID:bk-1\r$/m);
+  assert.match(invite(m).content, /^DTSTART;TZID=America\/New_York:20300602T150000\r$/m);
+});
+
+test('an all-day booking gets a date-only invite', async () => {
+  await notify('confirmed', allDay);
+  const ics = invite(outbox[0]).content;
+  assert.match(ics, /^DTSTART;VALUE=DATE:20300601\r$/m);
+  assert.match(ics, /^DTEND;VALUE=DATE:20300602\r$/m);
+  assert.doesNotMatch(ics, /VTIMEZONE/);
+});
+
+test('reminders say tomorrow and are not copied to the studio', async () => {
+  await notify('reminder', timed, { days: 1 });
+  await notify('reminder', timed, { days: 3 });
+  assert.equal(outbox[0].subject, 'Reminder: Rehearsal (2h) tomorrow');
+  assert.equal(outbox[1].subject, 'Reminder: Rehearsal (2h) on 2030-06-01');
+  assert.equal(outbox[0].bcc, undefined);
+});
+
+test('a slot lost at payment says it was refunded in full', () => {
+  const { subject, text } = render('refunded', timed, { reason: 'capacity' });
+  assert.equal(subject, "Sorry — 2030-06-01 was just taken, you've been refunded");
+  assert.match(text, /Your payment has been refunded in full/);
+  assert.match(text, /\(capacity\)/);
+});
+
+test('no email, an unknown kind or a failing transport never throws', async () => {
+  assert.deepEqual(await notify('confirmed', { ...timed, customer: { name: 'Ana' } }), { skipped: 'no customer email' });
+  assert.deepEqual(await notify('thanks', timed), { error: 'Unknown notification: thanks' });
+  setTransport({ name: 'broken', async send() { throw new Error('SMTP down'); } });
+  assert.deepEqual(await notify('confirmed', timed), { error: 'SMTP down' });
+  assert.equal(outbox.length, 0);
+});
@@ -0,0 +1,120 @@
+// test/ratelimit.test.js  — per-IP route limits, their store, and the bot check on checkout
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.ADMIN_API_KEY = 'admin-key';
+process.env.RATE_LIMITS = JSON.stringify({ quote: { limit: 2 }, services: false });
+process.env.TURNSTILE_SECRET_KEY = 'turnstile-secret';
+delete process.env.KV_REST_API_URL;
+
+const { RATE_LIMITS, takeToken, rateLimit, clientIp } = await import('../api/_lib/ratelimit.js');
+const { getKV, setKV } = await import('../api/_lib/kv.js');
+const { checkHuman } = await import('../api/_lib/botcheck.js');
+const { mockRes } = await import('./helpers.js');
+
+const realFetch = globalThis.fetch;
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  setKV(null);
+});
+
+const req = (ip, headers = {}) => ({ method: 'POST', headers: { 'x-forwarded-for': `${ip}, 10.0.0.1`, ...headers } });
+
+test('RATE_LIMITS overrides a route, keeps the other defaults, and turns routes off', () => {
+  assert.deepEqual(RATE_LIMITS.quote, { limit: 2, windowSeconds: 60 });
+  assert.equal(RATE_LIMITS.services, null);
+  assert.deepEqual(RATE_LIMITS.checkout, { limit: 10, windowSeconds: 600 });
+});
+
+test('the client is the first X-Forwarded-For address', () => {
+  assert.equal(clientIp(req('203.0.113.7')), '203.0.113.7');
+  assert.equal(clientIp({ headers: { 'x-real-ip': '198.51.100.2' } }), '198.51.100.2');
+  assert.equal(clientIp({ headers: {} }), 'unknown');
+});
+
+test('each IP gets its own window; past the limit the route answers 429', async () => {
+  for (const remaining of ['1', '0']) {
+    const res = mockRes();
+    assert.equal(await rateLimit(req('203.0.113.7'), res, 'quote'), false);
+    assert.equal(res.headers['x-ratelimit-remaining'], remaining);
+  }
+  const res = mockRes();
+  assert.equal(await rateLimit(req('203.0.113.7'), res, 'quote'), true);
+  assert.equal(res.code, 429);
+  assert.equal(res.headers['retry-after'], '60');
+  assert.equal(res.headers['x-ratelimit-limit'], '2');
+  assert.deepEqual(res.body, { error: 'too many requests', retryAfter: 60 });
+
+  assert.equal(await rateLimit(req('198.51.100.2'), mockRes(), 'quote'), false);
+});
+
+test('admins and routes turned off are never limited', async () => {
+  for (let i = 0; i < 5; i++) {
+    assert.equal(await rateLimit(req('203.0.113.7', { authorization: 'Bearer admin-key' }), mockRes(), 'quote'), false);
+    assert.equal(await rateLimit(req('203.0.113.7'), mockRes(), 'services'), false);
+  }
+  assert.equal(await getKV().get('rate:quote:203.0.113.7'), null);
+});
+
+test('the window closes with the counter', async () => {
+  const limits = { quote: { limit: 1, windowSeconds: 0.05 } };
+  assert.equal((await takeToken('quote', '203.0.113.7', { limits })).ok, true);
+  assert.equal((await takeToken('quote', '203.0.113.7', { limits })).ok, false);
+  await new Promise(r => setTimeout(r, 60));
+  assert.equal((await takeToken('quote', '203.0.113.7', { limits })).ok, true);
+});
+
+test('a store that cannot be reached lets the request through', async () => {
+  setKV({ async incr() { throw new Error('down'); } });
+  assert.equal(await rateLimit(req('203.0.113.7'), mockRes(), 'quote'), false);
+});
+
+test('the REST store creates a counter with its TTL before counting', async () => {
+  process.env.KV_REST_API_URL = 'https://kv.example';
+  process.env.KV_REST_API_TOKEN = 'kv-token';
+  const sent = [];
+  globalThis.fetch = async (url, init) => {
+    const args = JSON.parse(init.body);
+    sent.push(args);
+    return Response.json({ result: args[0] === 'INCR' ? 1 : null });
+  };
+  try {
+    setKV(null);
+    assert.equal(await getKV().incr('rate:quote:ip', { ttlSeconds: 60 }), 1);
+    assert.equal(await getKV().incr('plain'), 1);
+  } finally {
+    delete process.env.KV_REST_API_URL;
+    delete process.env.KV_REST_API_TOKEN;
+  }
+  assert.deepEqual(sent, [
+    ['SET', 'rate:quote:ip', '0', 'EX', 60, 'NX'],
+    ['INCR', 'rate:quote:ip'],
+    ['INCR', 'plain'],
+  ]);
+});
+
+test('a filled honeypot is refused without asking Cloudflare', async () => {
+  globalThis.fetch = async () => assert.fail('Turnstile should not be called');
+  assert.deepEqual(await checkHuman({ website: 'http://spam', turnstileToken: 't' }, '203.0.113.7'),
+    { ok: false, status: 400, error: 'request rejected' });
+});
+
+test('with Turnstile on, the widget token is required and verified', async () => {
+  const asked = [];
+  globalThis.fetch = async (url, init) => {
+    asked.push(Object.fromEntries(init.body));
+    return Response.json(init.body.get('response') === 'good' ? { success: true } : { success: false, 'error-codes': ['invalid-input-response'] });
+  };
+  assert.deepEqual(await checkHuman({}, '203.0.113.7'), { ok: false, status: 403, error: 'bot check required' });
+  assert.deepEqual(await checkHuman({ turnstileToken: 'good' }, '203.0.113.7'), { ok: true });
+  assert.deepEqual(await checkHuman({ 'cf-turnstile-response': 'bad' }, 'unknown'), { ok: false, status: 403, error: 'bot check failed' });
+  assert.deepEqual(asked, [
+    { secret: 'turnstile-secret', response: 'good', remoteip: '203.0.113.7' },
+    { secret: 'turnstile-secret', response: 'bad' },
+  ]);
+});
+
+test('when Cloudflare cannot be reached the person gets through', async () => {
+  globalThis.fetch = async () => { throw new Error('network down'); };
+  assert.deepEqual(await checkHuman({ turnstileToken: 'good' }, '203.0.113.7'), { ok: true });
+});
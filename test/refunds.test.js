@@ -0,0 +1,87 @@
+// test/refunds.test.js  — what a cancellation gives back under CANCEL_POLICY, and what Stripe is asked
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.STRIPE_SECRET_KEY = 'sk_test_refunds';
+delete process.env.CANCEL_POLICY;
+
+const { parsePolicy, refundPercent, refundQuote, refundBooking } = await import('../api/_lib/bookings.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2030-06-01T12:00:00Z');
+const inDays = (n) => new Date(NOW.getTime() + n * DAY).toISOString();
+
+// Stripe as far as refunds go: every call is kept; `fail` makes the nth refund fail
+let stripe;
+const realFetch = globalThis.fetch;
+beforeEach(() => {
+  stripe = { calls: [], fail: null, received: {} };
+  globalThis.fetch = async (url, init) => {
+    const path = new URL(url).pathname.replace('/v1/', '');
+    const params = Object.fromEntries(new URLSearchParams(init.body || ''));
+    stripe.calls.push({ path, ...params });
+    if (path.startsWith('payment_intents/')) return Response.json({ amount_received: stripe.received[path.split('/')[1]] });
+    if (stripe.fail === stripe.calls.filter(c => c.path === 'refunds').length) {
+      return Response.json({ error: { message: 'card declined the refund' } }, { status: 402 });
+    }
+    return Response.json({ id: `re_${stripe.calls.length}` });
+  };
+});
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+const booking = (payment, startsAt = inDays(10)) => ({ startsAt, payment: { paymentIntent: 'pi_1', ...payment } });
+const refunds = () => stripe.calls.filter(c => c.path === 'refunds').map(c => [c.payment_intent, Number(c.amount)]);
+
+test('the policy reads "days:percent" rules, furthest out first', () => {
+  assert.deepEqual(parsePolicy('0:50, 7:100, 2:150, junk'), [{ days: 7, percent: 100 }, { days: 2, percent: 100 }, { days: 0, percent: 50 }]);
+  assert.equal(refundPercent(inDays(10), NOW), 100);
+  assert.equal(refundPercent(inDays(7), NOW), 50);
+  assert.equal(refundPercent(inDays(0.1), NOW), 50);
+  assert.equal(refundPercent(inDays(-0.1), NOW), 0);
+});
+
+test('a paid booking gets its policy share back', async () => {
+  assert.deepEqual(await refundBooking(booking({ amountPaid: 10000 }), 'policy', NOW),
+    { status: 'refunded', percent: 100, amount: 10000, refundIds: ['re_1'] });
+  assert.deepEqual(await refundBooking(booking({ amountPaid: 9999 }, inDays(3)), 'policy', NOW),
+    { status: 'refunded', percent: 50, amount: 4999, refundIds: ['re_2'] });
+  assert.deepEqual(refunds(), [['pi_1', 10000], ['pi_1', 4999]]);
+
+  assert.deepEqual(await refundBooking(booking({ amountPaid: 10000 }, inDays(-1)), 'policy', NOW),
+    { status: 'skipped', reason: 'policy allows no refund', percent: 0, amount: 0 });
+});
+
+test('a quote matches the refund, and asks Stripe what was paid when the booking does not say', async () => {
+  stripe.received.pi_1 = 8000;
+  assert.deepEqual(await refundQuote(booking({ amountPaid: null }, inDays(3)), 'policy', NOW), { amount: 4000, percent: 50 });
+  assert.deepEqual(stripe.calls.map(c => c.path), ['payment_intents/pi_1']);
+  assert.deepEqual(await refundQuote(booking({ amountPaid: 8000 }), 'none', NOW), { amount: 0, percent: 0 });
+  assert.deepEqual(await refundQuote({ startsAt: inDays(10), payment: {} }, 'policy', NOW), { amount: 0, percent: 0 });
+});
+
+test('what was refunded already counts towards the refund', async () => {
+  const partly = booking({ amountPaid: 10000, refunded: { payment: 3000 } });
+  assert.deepEqual(await refundQuote(partly, 'policy', NOW), { amount: 7000, percent: 70 });
+  assert.equal((await refundBooking(partly, 'policy', NOW)).amount, 7000);
+
+  const done = booking({ amountPaid: 10000, refunded: { payment: 10000 } });
+  assert.deepEqual(await refundBooking(done, 'policy', NOW),
+    { status: 'skipped', reason: 'already refunded', percent: 100, amount: 0 });
+  assert.deepEqual(refunds(), [['pi_1', 7000]]);
+});
+
+test("'full' gives back everything, 'none' nothing, and a booking without a payment is skipped", async () => {
+  assert.equal((await refundBooking(booking({ amountPaid: 10000 }, inDays(-1)), 'full', NOW)).amount, 10000);
+  assert.deepEqual(await refundBooking(booking({ amountPaid: 10000 }), 'none', NOW), { status: 'skipped', reason: 'refund not requested' });
+  assert.deepEqual(await refundBooking({ startsAt: inDays(10), payment: {} }, 'policy', NOW), { status: 'skipped', reason: 'no payment on booking' });
+  assert.deepEqual(refunds(), [['pi_1', 10000]]);
+});
+
+test('a refund Stripe refuses is reported with what did go through', async () => {
+  stripe.fail = 2;
+  const split = booking({ amountPaid: 10000, deposit: 3000, balance: { paymentIntent: 'pi_2' } });
+  assert.deepEqual(await refundBooking(split, 'full', NOW),
+    { status: 'failed', error: 'card declined the refund', amount: 3000, refundIds: ['re_1'] });
+});
@@ -0,0 +1,52 @@
+// test/resources.test.js  — rooms and engineers booked as separate resources
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.CALENDAR_BACKEND = 'memory';
+process.env.NOTIFY_TRANSPORT = 'none';
+process.env.RESOURCES = JSON.stringify([
+  { id: 'a', name: 'Room A', calendar: 'Room A', blackouts: 'Room A off' },
+  { id: 'b', name: 'Room B', calendar: 'Room B' },
+]);
+delete process.env.BOOKING_RULES;
+
+const { freshStudio } = await import('./helpers.js');
+const { checkBooking } = await import('../api/_lib/rules.js');
+const { createBooking } = await import('../api/_lib/bookings.js');
+const { openCalendars, createBlackoutObject } = await import('../api/_lib/calendar.js');
+const { buildICS } = await import('../api/_lib/ics.js');
+
+const DAY = '2030-06-04'; // a Tuesday
+
+beforeEach(() => {
+  freshStudio(['Bookings', 'Blackouts', 'Room A', 'Room A off', 'Room B']);
+});
+
+const fullDay = { date: DAY, serviceId: 'full-day', summary: 'Full Day Lockout' };
+
+test('a booking goes to the first free resource', async () => {
+  const first = await createBooking(fullDay);
+  assert.equal(first.booking.resource, 'a');
+  const second = await createBooking(fullDay);
+  assert.equal(second.booking.resource, 'b');
+  await assert.rejects(createBooking(fullDay), (e) => e.status === 409);
+});
+
+test('a resource asked for by name is the only one tried', async () => {
+  await createBooking({ ...fullDay, resource: 'a' });
+  const check = await checkBooking({ date: DAY, serviceId: 'full-day', resource: 'a' });
+  assert.equal(check.ok, false);
+  assert.match(check.reason, /^capacity/);
+  assert.equal((await checkBooking({ date: DAY, serviceId: 'full-day', resource: 'b' })).ok, true);
+});
+
+test("one resource's blackout leaves the others bookable", async () => {
+  const cals = await openCalendars();
+  await createBlackoutObject(cals, {
+    uid: 'vacation', resource: 'a', ics: buildICS({ uid: 'vacation', date: DAY, summary: 'Vacation' }),
+  });
+  assert.equal((await checkBooking({ date: DAY, serviceId: 'full-day', resource: 'a' })).ok, false);
+  const check = await checkBooking({ date: DAY, serviceId: 'full-day' });
+  assert.equal(check.ok, true);
+  assert.equal(check.resource, 'b');
+});
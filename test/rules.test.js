@@ -0,0 +1,64 @@
+// test/rules.test.js  — the day rules: capacity, exclusive sessions, legacy bookings, notice
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+delete process.env.BOOKING_RULES;
+
+const { evaluateDay, RULES } = await import('../api/_lib/rules.js');
+const { dayBounds, dayKeyOf, addDays } = await import('../api/_lib/time.js');
+
+const DAY = '2030-06-04'; // a Tuesday
+const { start: dayStart, end: dayEnd } = dayBounds(DAY);
+
+const allDay = (uid, summary, extra = {}) => ({ uid, summary, allDay: true, start: dayStart, end: dayEnd, ...extra });
+const timed = (uid, summary, hours, extra = {}) => ({
+  uid, summary, allDay: false, start: new Date(dayStart.getTime() + 12 * 3600000),
+  end: new Date(dayStart.getTime() + (12 + hours) * 3600000), ...extra,
+});
+const rulesOn = (bookingEvents, opts = {}) =>
+  evaluateDay(DAY, { bookingEvents, blackoutEvents: opts.blackouts || [] }, { now: new Date('2030-01-01'), ...opts });
+const blocked = (status) => status.blockedBy.map(b => b.rule);
+
+test('bookings use up the day by weight', () => {
+  assert.deepEqual(blocked(rulesOn([timed('1', 'Rehearsal (2h)', 2, { serviceId: 'rehearsal' })], { durationMinutes: 120, serviceId: 'rehearsal' })), []);
+  const two = [
+    timed('1', 'Rehearsal (2h)', 2, { serviceId: 'rehearsal' }),
+    timed('2', 'Rehearsal (2h)', 2, { serviceId: 'rehearsal' }),
+  ];
+  assert.deepEqual(blocked(rulesOn(two, { durationMinutes: 120, serviceId: 'rehearsal' })), ['capacity']);
+  // A full day weighs 2: nothing fits beside it
+  assert.deepEqual(blocked(rulesOn([allDay('3', 'Full Day Lockout', { serviceId: 'full-day' })], { durationMinutes: 120, serviceId: 'rehearsal' })),
+    ['capacity']);
+});
+
+test('a short recording session has the day to itself', () => {
+  const short = timed('1', 'Recording Session (3h)', 3, { serviceId: 'recording' });
+  assert.ok(blocked(rulesOn([short], { durationMinutes: 120, serviceId: 'rehearsal' })).includes('exclusive'));
+  const long = timed('1', 'Recording Session (5h)', 5, { serviceId: 'recording' });
+  assert.ok(!blocked(rulesOn([long], { durationMinutes: 60, serviceId: 'rehearsal' })).includes('exclusive'));
+  // …and can't join a day that already has a booking
+  const other = timed('2', 'Rehearsal (2h)', 2, { serviceId: 'rehearsal' });
+  assert.ok(blocked(rulesOn([other], { durationMinutes: 180, serviceId: 'recording' })).includes('exclusive'));
+});
+
+test('older all-day bookings take their length from "(Nh)" in the summary', () => {
+  assert.ok(blocked(rulesOn([allDay('1', 'Recording Session (3h)')], { durationMinutes: 120, serviceId: 'rehearsal' })).includes('exclusive'));
+  assert.ok(!blocked(rulesOn([allDay('1', 'Recording Session (6h)')], { durationMinutes: 120, serviceId: 'rehearsal' })).includes('exclusive'));
+});
+
+test('a blackout closes the day', () => {
+  const status = rulesOn([], { blackouts: [allDay('x', 'Closed')], durationMinutes: 60, serviceId: 'rehearsal' });
+  assert.equal(status.available, false);
+  assert.deepEqual(blocked(status), ['blackout']);
+});
+
+test('minimum notice: none lets today be booked whole, hours push it out', () => {
+  const now = new Date();
+  const today = dayKeyOf(now);
+  const wholeDay = (rules) => evaluateDay(today, { bookingEvents: [], blackoutEvents: [] }, { serviceId: 'full-day', now, rules });
+  assert.deepEqual(blocked(wholeDay({ ...RULES, minNoticeHours: 0 })), []);
+  assert.deepEqual(blocked(wholeDay({ ...RULES, minNoticeHours: 24 })), ['min-notice']);
+  const yesterday = evaluateDay(addDays(today, -1), { bookingEvents: [], blackoutEvents: [] },
+    { serviceId: 'full-day', now, rules: { ...RULES, minNoticeHours: 0 } });
+  assert.deepEqual(blocked(yesterday), ['min-notice']);
+});
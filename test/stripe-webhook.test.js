@@ -0,0 +1,46 @@
+// test/stripe-webhook.test.js  — Stripe signatures are checked over the bytes Stripe sent
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+
+process.env.STRIPE_SECRET_KEY = 'sk_test';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+process.env.CALENDAR_BACKEND = 'memory';
+process.env.NOTIFY_TRANSPORT = 'none';
+
+const { call } = await import('./helpers.js');
+const { default: webhook } = await import('../api/stripe-webhook.js');
+
+function sign(raw, { secret = 'whsec_test', t = Math.floor(Date.now() / 1000) } = {}) {
+  return `t=${t},v1=${createHmac('sha256', secret).update(`${t}.${raw}`).digest('hex')}`;
+}
+
+// A request whose body arrives as a stream, the way Vercel passes it with bodyParser off
+function streamed(raw, headers) {
+  return {
+    method: 'POST',
+    headers,
+    async *[Symbol.asyncIterator]() { yield Buffer.from(raw); },
+  };
+}
+
+// Stripe's own formatting: pretty-printed, which re-serialising a parsed body would lose
+const raw = JSON.stringify({ id: 'evt_sig', type: 'customer.created', data: { object: {} } }, null, 2);
+
+test('a signed payload verifies', async () => {
+  const res = await call(webhook, streamed(raw, { 'stripe-signature': sign(raw) }));
+  assert.equal(res.code, 200);
+  assert.deepEqual(res.body, { received: true });
+});
+
+test('a body the platform kept as bytes verifies too', async () => {
+  const res = await call(webhook, { method: 'POST', headers: { 'stripe-signature': sign(raw) }, body: Buffer.from(raw) });
+  assert.equal(res.code, 200);
+});
+
+test('a changed payload or another secret is refused', async () => {
+  const tampered = raw.replace('customer.created', 'customer.deleted');
+  assert.equal((await call(webhook, streamed(tampered, { 'stripe-signature': sign(raw) }))).code, 400);
+  assert.equal((await call(webhook, streamed(raw, { 'stripe-signature': sign(raw, { secret: 'whsec_other' }) }))).code, 400);
+  assert.equal((await call(webhook, streamed(raw, {}))).code, 400);
+});
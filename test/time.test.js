@@ -0,0 +1,67 @@
+// test/time.test.js  — studio days and clock, and the VTIMEZONE written into our .ics files
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ICAL from 'ical.js';
+
+process.env.STUDIO_TIMEZONE = 'America/New_York';
+
+const {
+  toDayKey, dayKeyOf, addDays, weekdayOf, parseWeekday, dayBounds, atMinutes, formatTime, formatICSLocal, buildVTimezone,
+} = await import('../api/_lib/time.js');
+
+const HOUR = 60 * 60 * 1000;
+
+test('day keys are studio days', () => {
+  assert.equal(toDayKey('2030-06-01'), '2030-06-01');
+  assert.equal(toDayKey('2030-02-30'), null);
+  assert.equal(toDayKey('soon'), null);
+  assert.equal(toDayKey('2030-06-02T02:00:00Z'), '2030-06-01');
+  assert.equal(dayKeyOf(new Date('2030-06-02T03:59:00Z')), '2030-06-01');
+  assert.equal(dayKeyOf(new Date('2030-06-02T04:00:00Z')), '2030-06-02');
+});
+
+test('day arithmetic and weekdays ignore DST', () => {
+  assert.equal(addDays('2030-03-09', 1), '2030-03-10');
+  assert.equal(addDays('2030-03-01', -1), '2030-02-28');
+  assert.equal(weekdayOf('2030-06-01'), 6);
+  assert.deepEqual(['sat', 'Sunday', 3, '5', 'noday', 7].map(parseWeekday), [6, 0, 3, 5, null, null]);
+});
+
+test('the studio clock follows DST', () => {
+  const spring = dayBounds('2030-03-10');
+  assert.equal(spring.end - spring.start, 23 * HOUR);
+  const fall = dayBounds('2030-11-03');
+  assert.equal(fall.end - fall.start, 25 * HOUR);
+  assert.equal(atMinutes('2030-03-10', 12 * 60).toISOString(), '2030-03-10T16:00:00.000Z');
+  assert.equal(atMinutes('2030-03-09', 12 * 60).toISOString(), '2030-03-09T17:00:00.000Z');
+  assert.equal(formatTime(new Date('2030-06-01T16:00:00Z')), '12:00');
+  assert.equal(formatICSLocal(new Date('2030-06-01T16:00:00Z'), 'Europe/London'), '20300601T170000');
+});
+
+const rrules = (tz, year) => buildVTimezone(tz, year).filter(l => l.startsWith('RRULE:'));
+
+test('a change in the last week of its month repeats on the last such weekday', () => {
+  // 2029: March 25 and October 28 — the 4th Sundays, but also the last ones
+  assert.deepEqual(rrules('Europe/London', 2029), [
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+    'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+  ]);
+  assert.deepEqual(rrules('America/New_York', 2030), [
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+    'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+  ]);
+});
+
+test('a zone without DST gets one fixed offset', () => {
+  const lines = buildVTimezone('Asia/Tokyo', 2030);
+  assert.deepEqual(lines.slice(2, 7), ['BEGIN:STANDARD', 'DTSTART:19700101T000000', 'TZOFFSETFROM:+0900', 'TZOFFSETTO:+0900', 'END:STANDARD']);
+});
+
+test("another year's times still land right (calendar apps extend the rules)", () => {
+  // Written for 2029, read by a calendar app in 2030, when the last Sunday of March is the 31st
+  const vtimezone = new ICAL.Component(ICAL.parse(buildVTimezone('Europe/London', 2029).join('\r\n')));
+  const zone = new ICAL.Timezone(vtimezone);
+  const offsetHours = (day) => zone.utcOffset(ICAL.Time.fromDateTimeString(`${day}T12:00:00`)) / 3600;
+
+  assert.deepEqual(['2030-03-30', '2030-03-31', '2030-10-26', '2030-10-27'].map(offsetHours), [0, 1, 1, 0]);
+});
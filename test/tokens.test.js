@@ -0,0 +1,54 @@
+// test/tokens.test.js  — the signed, expiring links customers manage a booking with
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.BOOKING_LINK_SECRET = 'link-secret';
+process.env.BOOKING_LINK_TTL_DAYS = '30';
+process.env.MANAGE_PAGE_URL = 'https://609music.com/booking.html';
+process.env.NOTIFY_TRANSPORT = 'none';
+
+const { signBookingToken, verifyBookingToken, manageUrl, linksConfigured } = await import('../api/_lib/tokens.js');
+const { freshStudio, call } = await import('./helpers.js');
+const { default: manage } = await import('../api/manage.js');
+const { createBooking } = await import('../api/_lib/bookings.js');
+
+const NOW = Date.parse('2030-06-01T12:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+test('a token carries the booking and its payment until it expires', () => {
+  assert.equal(linksConfigured(), true);
+  const token = signBookingToken({ uid: 'bk-1', sessionId: 'cs_1' }, { now: NOW });
+  assert.deepEqual(verifyBookingToken(token, { now: NOW + 29 * DAY }), {
+    uid: 'bk-1', sessionId: 'cs_1', expiresAt: '2030-07-01T12:00:00.000Z',
+  });
+  assert.equal(verifyBookingToken(token, { now: NOW + 31 * DAY }), null);
+  assert.equal(verifyBookingToken(signBookingToken({ uid: 'bk-2' }, { now: NOW }), { now: NOW }).sessionId, null);
+});
+
+test('a changed, cut or foreign token is refused', () => {
+  const token = signBookingToken({ uid: 'bk-1', sessionId: 'cs_1' }, { now: NOW });
+  const [payload, mac] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ u: 'bk-2', s: 'cs_1', e: NOW / 1000 + DAY })).toString('base64url');
+  for (const bad of [`${forged}.${mac}`, payload, `${payload}.`, `${payload}.${mac.slice(1)}`, '', null, 'a.b.c']) {
+    assert.equal(verifyBookingToken(bad, { now: NOW }), null);
+  }
+});
+
+test('the manage link puts the token on the booking page', () => {
+  const token = signBookingToken({ uid: 'bk-1' }, { now: NOW });
+  assert.equal(manageUrl(token), `https://609music.com/booking.html?token=${token}`);
+});
+
+test('a token only opens the booking its payment made', async () => {
+  freshStudio();
+  const { booking } = await createBooking({
+    date: '2030-06-04', start: '12:00', duration: 2, serviceId: 'rehearsal', summary: 'Rehearsal (2h)',
+    customer: { name: 'Ana', email: 'ana@example.com' }, stripe: { sessionId: 'cs_1', amountPaid: 7000 },
+  });
+  const open = (token) => call(manage, { query: { token } });
+
+  assert.equal((await open(signBookingToken({ uid: booking.uid, sessionId: 'cs_1' }))).code, 200);
+  assert.equal((await open(signBookingToken({ uid: booking.uid, sessionId: 'cs_other' }))).code, 401);
+  assert.equal((await open(signBookingToken({ uid: 'no-such-booking' }))).code, 404);
+  assert.deepEqual((await open('nonsense')).body, { error: 'invalid or expired link' });
+});
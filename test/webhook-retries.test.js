@@ -0,0 +1,69 @@
+// test/webhook-retries.test.js  — a Stripe event delivered again books once
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+
+process.env.STRIPE_SECRET_KEY = 'sk_test';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+process.env.CALENDAR_BACKEND = 'memory';
+process.env.NOTIFY_TRANSPORT = 'none';
+
+const { freshStudio, call } = await import('./helpers.js');
+const { default: webhook } = await import('../api/stripe-webhook.js');
+const { listBookings } = await import('../api/_lib/bookings.js');
+
+const sign = (raw, t = Math.floor(Date.now() / 1000)) =>
+  `t=${t},v1=${createHmac('sha256', 'whsec_test').update(`${t}.${raw}`).digest('hex')}`;
+
+const deliver = (event) => {
+  const raw = JSON.stringify(event);
+  return call(webhook, { method: 'POST', headers: { 'stripe-signature': sign(raw) }, body: Buffer.from(raw) });
+};
+
+let outbox;
+beforeEach(() => {
+  ({ outbox } = freshStudio());
+});
+
+const completed = (eventId) => ({
+  id: eventId,
+  type: 'checkout.session.completed',
+  data: {
+    object: {
+      id: 'cs_test_1',
+      payment_status: 'paid',
+      payment_intent: null,
+      amount_total: 16000,
+      customer_details: { email: 'ana@example.com', name: 'Ana' },
+      metadata: {
+        kind: 'booking', date: '2030-06-04', start: '12:00', duration: '2', service_id: 'rehearsal',
+        summary: 'Rehearsal (2h)', customer_name: 'Ana', amount_total: '16000',
+      },
+    },
+  },
+});
+
+const bookingsOn = async (date) => (await listBookings(date, date)).filter(b => b.status !== 'CANCELLED');
+
+test('a redelivered event books once', async () => {
+  const first = await deliver(completed('evt_1'));
+  assert.equal(first.code, 200);
+  assert.equal(first.body.status, 'booked');
+  assert.equal(first.body.uid, 'cs_test_1@609music');
+
+  const again = await deliver(completed('evt_1'));
+  assert.equal(again.code, 200);
+  assert.deepEqual(again.body, { duplicate: true, status: 'booked' });
+
+  assert.equal((await bookingsOn('2030-06-04')).length, 1);
+  assert.equal(outbox.filter(m => m.kind === 'confirmed').length, 1);
+});
+
+test('another event for the same session finds the booking it made', async () => {
+  await deliver(completed('evt_1'));
+  const other = await deliver(completed('evt_2'));
+  assert.equal(other.code, 200);
+  assert.equal(other.body.existing, true);
+  assert.equal((await bookingsOn('2030-06-04')).length, 1);
+  assert.equal(outbox.filter(m => m.kind === 'confirmed').length, 1);
+});